@@ -0,0 +1,140 @@
+import { useState, useEffect } from 'react'
+import { normalizeAutoEnable, describeAutoRule, parseTime, AUTO_RULE_TYPES, WEEK_DAYS } from './auto-enable.js'
+import { t } from './i18n.js'
+
+const EMPTY_RULE = { type: 'time', days: [1, 2, 3, 4, 5], from: '09:00', to: '18:00', url: '', reachable: true, action: 'on' }
+
+// Автоматическое включение и выключение прокси: по времени, доступности прокси и сети
+function AutoEnableSettings() {
+    const [settings, setSettings] = useState(normalizeAutoEnable())
+    const [draft, setDraft] = useState(EMPTY_RULE)
+    const [message, setMessage] = useState(null) // { error, text }
+
+    useEffect(() => {
+        chrome.storage.local.get('autoEnable', result => setSettings(normalizeAutoEnable(result.autoEnable)))
+    }, [])
+
+    const save = (patch) => {
+        const updated = normalizeAutoEnable({ ...settings, ...patch })
+        setSettings(updated)
+        chrome.storage.local.set({ autoEnable: updated })
+        return updated
+    }
+
+    const toggleDay = (day) => {
+        const days = draft.days.includes(day) ? draft.days.filter(d => d !== day) : [...draft.days, day]
+        setDraft({ ...draft, days })
+    }
+
+    const addRule = () => {
+        const rule = { ...draft, id: crypto.randomUUID().slice(0, 8) }
+        const updated = save({ rules: [...settings.rules, rule] })
+        if (updated.rules.length === settings.rules.length) {
+            setMessage({ error: true, text: t(draft.type === 'time' ? 'errorTimeFormat' : 'errorHttpUrl') })
+            return
+        }
+        setMessage(null)
+        setDraft({ ...EMPTY_RULE, type: draft.type })
+    }
+
+    const removeRule = id => save({ rules: settings.rules.filter(r => r.id !== id) })
+
+    // Правила проверяются сверху вниз, срабатывает первое подошедшее
+    const moveUp = (index) => {
+        const rules = [...settings.rules]
+        ;[rules[index - 1], rules[index]] = [rules[index], rules[index - 1]]
+        save({ rules })
+    }
+
+    const timeValid = parseTime(draft.from) !== null && parseTime(draft.to) !== null
+
+    return (
+        <section className="config-section auto-enable">
+            <h2>{t('autoEnableTitle')}</h2>
+            <div className="scroll-area">
+                {!settings.rules.length && <div className="empty-hint">{t('autoNoRules')}</div>}
+                {settings.rules.map((rule, index) => (
+                    <div key={rule.id} className="site-item">
+                        <span className="site-name">{describeAutoRule(rule, t)}</span>
+                        {index > 0 && <button className="btn-chip" onClick={() => moveUp(index)} title={t('moveUp')}>↑</button>}
+                        <button onClick={() => removeRule(rule.id)} className="btn-remove">×</button>
+                    </div>
+                ))}
+            </div>
+            <div className="options-row">
+                <select className="route-select" value={draft.type} onChange={(e) => setDraft({ ...draft, type: e.target.value })}>
+                    {Object.entries(AUTO_RULE_TYPES).map(([type, label]) => (
+                        <option key={type} value={type}>{t(label)}</option>
+                    ))}
+                </select>
+                {draft.type === 'time' && (
+                    <>
+                        {WEEK_DAYS.map(([day, name]) => (
+                            <label key={day}>
+                                <input type="checkbox" checked={draft.days.includes(day)} onChange={() => toggleDay(day)} />
+                                {t(name)}
+                            </label>
+                        ))}
+                        <input type="time" value={draft.from} onChange={(e) => setDraft({ ...draft, from: e.target.value })} />
+                        –
+                        <input type="time" value={draft.to} onChange={(e) => setDraft({ ...draft, to: e.target.value })} />
+                    </>
+                )}
+                {draft.type === 'network' && (
+                    <input
+                        type="text"
+                        className="category-search"
+                        placeholder="http://intranet.example/"
+                        value={draft.url}
+                        onChange={(e) => setDraft({ ...draft, url: e.target.value })}
+                    />
+                )}
+                {draft.type !== 'time' && (
+                    <select className="route-select" value={String(draft.reachable)} onChange={(e) => setDraft({ ...draft, reachable: e.target.value === 'true' })}>
+                        <option value="true">{t('reachable')}</option>
+                        <option value="false">{t('unreachable')}</option>
+                    </select>
+                )}
+                <select className="route-select" value={draft.action} onChange={(e) => setDraft({ ...draft, action: e.target.value })}>
+                    <option value="on">{t('autoActionOn')}</option>
+                    <option value="off">{t('autoActionOff')}</option>
+                </select>
+                <button className="btn-chip" onClick={addRule} disabled={draft.type === 'time' ? !timeValid : draft.type === 'network' && !draft.url.trim()}>
+                    {t('add')}
+                </button>
+            </div>
+            <div className="options-row">
+                <label>
+                    {t('autoCheckEvery')}{' '}
+                    <input
+                        type="number"
+                        className="interval-input"
+                        min="1"
+                        value={settings.checkMinutes}
+                        onChange={(e) => save({ checkMinutes: e.target.value })}
+                    />
+                    {' '}{t('minutesShort')}
+                </label>
+                <label>
+                    {t('overrideLasts')}{' '}
+                    <input
+                        type="number"
+                        className="interval-input"
+                        min="1"
+                        value={settings.overrideMinutes}
+                        onChange={(e) => save({ overrideMinutes: e.target.value })}
+                    />
+                    {' '}{t('minutesShort')}
+                </label>
+            </div>
+            <div className="options-hint">
+                {t('autoHint')}
+            </div>
+            {message && (
+                <div className={`options-message ${message.error ? 'error' : ''}`}>{message.text}</div>
+            )}
+        </section>
+    )
+}
+
+export default AutoEnableSettings
@@ -0,0 +1,52 @@
+import { useState, useEffect } from 'react'
+import { normalizeAutoEnable, describeAutoRule } from './auto-enable.js'
+import { t, formatTime } from './i18n.js'
+
+// Почему прокси включён или выключен, если работают автоматические правила
+function AutoEnableStatus() {
+    const [settings, setSettings] = useState(normalizeAutoEnable())
+    const [state, setState] = useState(null) // { at, enabled, rule }
+    const [override, setOverride] = useState(null) // { enabled, until }
+
+    useEffect(() => {
+        chrome.storage.local.get(['autoEnable', 'autoEnableState', 'enableOverride'], (result) => {
+            setSettings(normalizeAutoEnable(result.autoEnable))
+            setState(result.autoEnableState || null)
+            setOverride(result.enableOverride || null)
+        })
+        const onChanged = (changes, area) => {
+            if (area !== 'local') return
+            if (changes.autoEnable) setSettings(normalizeAutoEnable(changes.autoEnable.newValue))
+            if (changes.autoEnableState) setState(changes.autoEnableState.newValue || null)
+            if (changes.enableOverride) setOverride(changes.enableOverride.newValue || null)
+        }
+        chrome.storage.onChanged.addListener(onChanged)
+        return () => chrome.storage.onChanged.removeListener(onChanged)
+    }, [])
+
+    if (!settings.rules.length) return null
+
+    // Снятое ручное переключение background заметит и сразу применит правила
+    const resume = () => chrome.storage.local.remove('enableOverride')
+
+    if (override?.until > Date.now()) {
+        return (
+            <div className="auto-enable-status">
+                <span>{t('manualUntil', formatTime(override.until))}</span>
+                <button className="btn-chip" onClick={resume}>{t('resumeAuto')}</button>
+            </div>
+        )
+    }
+
+    return (
+        <div className="auto-enable-status">
+            <span>
+                {!state ? t('autoChecking')
+                    : state.rule ? t(state.enabled ? 'autoEnabledBy' : 'autoDisabledBy', describeAutoRule(state.rule, t))
+                        : t('autoNoRule')}
+            </span>
+        </div>
+    )
+}
+
+export default AutoEnableStatus
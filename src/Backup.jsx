@@ -0,0 +1,172 @@
+import { useState } from 'react'
+import { SETTINGS, exportConfig, parseConfigFile, diffConfig, parseRuleList } from './config-io.js'
+import { createShardedStorage } from './sync-storage.js'
+import { t, errorText } from './i18n.js'
+import DiffLines from './DiffLines.jsx'
+
+// Ключи сообщений с названиями настроек
+const SETTING_LABELS = {
+    proxyConfig: 'settingProxyConfig',
+    proxyProfiles: 'proxyProfiles',
+    sites: 'extraSites',
+    siteNotes: 'settingSiteNotes',
+    directSites: 'settingDirectSites',
+    bypassLocal: 'settingBypassLocal',
+    geoCategories: 'settingGeoCategories',
+    routes: 'settingRoutes',
+    ruleSources: 'ruleSourcesTitle',
+    healthCheck: 'healthCheckTitle',
+    blockDetection: 'detectionTitle',
+    autoEnable: 'autoEnableTitle',
+    leakProtection: 'leakTitle',
+    uiLanguage: 'settingUiLanguage'
+}
+
+const syncStorage = createShardedStorage(chrome.storage.sync)
+
+const keysIn = (area) => Object.keys(SETTINGS).filter(key => SETTINGS[key].area === area)
+
+async function readSettings() {
+    const local = await chrome.storage.local.get(keysIn('local'))
+    const sync = await syncStorage.get(keysIn('sync'))
+    return { ...local, ...sync }
+}
+
+// Раскладывает настройки по хранилищам local и sync; списки прокси сохраняет background, шифруя логины
+async function writeSettings(settings) {
+    const { proxyConfig, proxyProfiles, ...rest } = settings
+    const pick = (area) => Object.fromEntries(Object.entries(rest).filter(([key]) => SETTINGS[key].area === area))
+    if (proxyConfig !== undefined || proxyProfiles !== undefined) {
+        const result = await chrome.runtime.sendMessage({ type: 'saveProxySettings', settings: { proxyConfig, proxyProfiles } })
+        if (result?.error) throw new Error(result.error)
+    }
+    await chrome.storage.local.set(pick('local'))
+    await syncStorage.set(pick('sync'))
+}
+
+function download(text, filename) {
+    const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = filename
+    link.click()
+    URL.revokeObjectURL(url)
+}
+
+// Экспорт и импорт настроек в JSON, импорт списков доменов и правил AutoProxy/SwitchyOmega
+function Backup() {
+    // { kind: 'config', settings, changes } | { kind: 'list', sites, directSites, skipped }
+    const [pending, setPending] = useState(null)
+    const [message, setMessage] = useState(null) // { error, text }
+
+    const exportSettings = async () => {
+        const file = exportConfig(await readSettings())
+        download(JSON.stringify(file, null, 2), `auto-proxy-${file.exportedAt.slice(0, 10)}.json`)
+    }
+
+    // Файл читается из input, поле очищается, чтобы тот же файл можно было выбрать снова
+    const readFile = async (e) => {
+        const file = e.target.files[0]
+        e.target.value = ''
+        setMessage(null)
+        return file ? file.text() : null
+    }
+
+    const importSettings = async (e) => {
+        const text = await readFile(e)
+        if (text === null) return
+        try {
+            const current = await readSettings()
+            const settings = parseConfigFile(text)
+            setPending({ kind: 'config', settings, changes: diffConfig(current, settings, t) })
+        } catch (err) {
+            setMessage({ error: true, text: errorText(err) })
+        }
+    }
+
+    const importList = async (e) => {
+        const text = await readFile(e)
+        if (text === null) return
+        const { sites = [], directSites = [] } = await syncStorage.get(['sites', 'directSites'])
+        const parsed = parseRuleList(text)
+        setPending({
+            kind: 'list',
+            sites: parsed.sites.filter(s => !sites.includes(s)),
+            directSites: parsed.directSites.filter(s => !directSites.includes(s)),
+            skipped: parsed.skipped
+        })
+    }
+
+    const applyImport = async () => {
+        try {
+            if (pending.kind === 'config') {
+                await writeSettings(pending.settings)
+            } else {
+                const { sites = [], directSites = [] } = await syncStorage.get(['sites', 'directSites'])
+                await syncStorage.set({
+                    sites: [...sites, ...pending.sites],
+                    directSites: [...directSites, ...pending.directSites]
+                })
+            }
+            setMessage({ error: false, text: t('importDone') })
+        } catch (err) {
+            setMessage({ error: true, text: t('saveFailed', err.message) })
+        }
+        setPending(null)
+    }
+
+    const listChanges = pending?.kind === 'list'
+        ? [{ key: 'sites', added: pending.sites, removed: [] }, { key: 'directSites', added: pending.directSites, removed: [] }]
+            .filter(c => c.added.length)
+        : pending?.changes
+
+    return (
+        <section className="config-section">
+            <h2>{t('backupTitle')}</h2>
+            <div className="options-row">
+                <button className="btn-add" onClick={exportSettings}>{t('exportSettings')}</button>
+                <span className="options-hint">{t('exportNoCredentials')}</span>
+            </div>
+            <div className="options-row">
+                <label className="btn-add">
+                    {t('importSettings')}
+                    <input type="file" accept=".json,application/json" onChange={importSettings} />
+                </label>
+                <label className="btn-secondary">
+                    {t('importList')}
+                    <input type="file" accept=".txt,.list,.conf,text/plain" onChange={importList} />
+                </label>
+            </div>
+            <div className="options-hint">
+                {t('importListHint')}
+            </div>
+
+            {pending && (
+                <div className="import-preview">
+                    <h2>{t('whatChanges')}</h2>
+                    {!listChanges.length && <div className="options-hint">{t('noChanges')}</div>}
+                    {listChanges.map(change => (
+                        <div key={change.key}>
+                            <div className="diff-key">{t(SETTING_LABELS[change.key])}</div>
+                            <DiffLines lines={change.added} sign="+" />
+                            <DiffLines lines={change.removed} sign="−" />
+                        </div>
+                    ))}
+                    {pending.kind === 'list' && pending.skipped > 0 && (
+                        <div className="options-hint">{t('skippedRules', pending.skipped)}</div>
+                    )}
+                    <div className="options-row">
+                        <button className="btn-add" onClick={applyImport} disabled={!listChanges.length}>{t('apply')}</button>
+                        <button className="btn-secondary" onClick={() => setPending(null)}>{t('cancel')}</button>
+                    </div>
+                </div>
+            )}
+
+            {message && (
+                <div className={`options-message ${message.error ? 'error' : ''}`}>{message.text}</div>
+            )}
+        </section>
+    )
+}
+
+export default Backup
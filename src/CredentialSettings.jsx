@@ -0,0 +1,91 @@
+import { useState, useEffect } from 'react'
+import { t } from './i18n.js'
+
+// Шифрование логинов прокси: ключ этой установки или пароль, который вводится после перезапуска браузера
+function CredentialSettings() {
+    const [status, setStatus] = useState(null) // { mode, locked, hosts }
+    const [passphrase, setPassphrase] = useState('')
+    const [repeat, setRepeat] = useState('')
+    const [message, setMessage] = useState(null) // { error, text }
+
+    const refresh = () => chrome.runtime.sendMessage({ type: 'getCredentialStatus' }).then(setStatus)
+
+    useEffect(() => {
+        refresh()
+        const onChanged = (changes, area) => {
+            if (area === 'local' && changes.proxyCredentials) refresh()
+        }
+        chrome.storage.onChanged.addListener(onChanged)
+        return () => chrome.storage.onChanged.removeListener(onChanged)
+    }, [])
+
+    const run = async (message, success) => {
+        const result = await chrome.runtime.sendMessage(message)
+        setMessage(result?.error ? { error: true, text: result.error } : { error: false, text: success })
+        if (!result?.error) {
+            setPassphrase('')
+            setRepeat('')
+        }
+        refresh()
+    }
+
+    const unlock = (e) => {
+        e.preventDefault()
+        run({ type: 'unlockCredentials', passphrase }, t('credentialsUnlocked'))
+    }
+
+    const savePassphrase = (e) => {
+        e.preventDefault()
+        if (passphrase !== repeat) {
+            setMessage({ error: true, text: t('passphrasesDiffer') })
+            return
+        }
+        run({ type: 'setCredentialPassphrase', passphrase }, t('credentialsPassphraseSet'))
+    }
+
+    const removePassphrase = () => run({ type: 'setCredentialPassphrase', passphrase: '' }, t('credentialsPassphraseRemoved'))
+
+    const forget = () => {
+        if (!confirm(t('confirmForgetCredentials'))) return
+        run({ type: 'forgetCredentials' }, t('credentialsForgotten'))
+    }
+
+    if (!status) return null
+
+    return (
+        <section className="config-section">
+            <h2>{t('credentialsTitle')}</h2>
+            <div className="options-hint">
+                {status.hosts.length ? t('credentialsSavedFor', status.hosts.join(', ')) : t('credentialsNone')}{' '}
+                {status.mode !== 'passphrase' ? t('encryptedWithInstallKey')
+                    : status.locked ? t('encryptedLocked') : t('encryptedWithPassphrase')}
+            </div>
+            {status.locked ? (
+                <form className="options-row" onSubmit={unlock}>
+                    <input type="password" placeholder={t('passphrase')} value={passphrase} onChange={(e) => setPassphrase(e.target.value)} />
+                    <button type="submit" className="btn-add" disabled={!passphrase}>{t('unlock')}</button>
+                </form>
+            ) : (
+                <form className="options-row" onSubmit={savePassphrase}>
+                    <input type="password" placeholder={t(status.mode === 'passphrase' ? 'newPassphrase' : 'passphrase')} value={passphrase} onChange={(e) => setPassphrase(e.target.value)} />
+                    <input type="password" placeholder={t('repeatPassphrase')} value={repeat} onChange={(e) => setRepeat(e.target.value)} />
+                    <button type="submit" className="btn-add" disabled={!passphrase}>
+                        {t(status.mode === 'passphrase' ? 'changePassphrase' : 'setPassphrase')}
+                    </button>
+                    {status.mode === 'passphrase' && <button type="button" className="btn-secondary" onClick={removePassphrase}>{t('removePassphrase')}</button>}
+                </form>
+            )}
+            <div className="options-row">
+                <button className="btn-secondary" onClick={forget} disabled={!status.hosts.length && status.mode !== 'passphrase'}>{t('forgetCredentials')}</button>
+            </div>
+            <div className="options-hint">
+                {t('credentialsHint')}
+            </div>
+            {message && (
+                <div className={`options-message ${message.error ? 'error' : ''}`}>{message.text}</div>
+            )}
+        </section>
+    )
+}
+
+export default CredentialSettings
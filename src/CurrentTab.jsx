@@ -0,0 +1,76 @@
+import { useState, useEffect } from 'react'
+import { registrableDomain } from './domains.js'
+import { t } from './i18n.js'
+
+// «Через прокси (профиль)» или «Напрямую»
+export function describeRoute(proxied, target) {
+    if (!proxied) return t('routeDirect')
+    return target ? t('routeProxiedTo', target) : t('routeProxied')
+}
+
+// Какое правило сработало для хоста
+export function describeRule(rule) {
+    if (!rule) return t('ruleNone')
+    if (rule.kind === 'category') return t('ruleCategory', rule.name)
+    if (rule.kind === 'site') return t('ruleSite', rule.name)
+    if (rule.kind === 'learned') return t('ruleLearned')
+    return t('ruleExclusion', rule.name)
+}
+
+// Маршрут активной вкладки и быстрые действия для её домена
+function CurrentTab({ sites, directSites, onAddSite, onRemoveSite, onAddDirect, onRemoveDirect }) {
+    const [tabUrl, setTabUrl] = useState(null)
+    const [route, setRoute] = useState(null)
+
+    useEffect(() => {
+        chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => setTabUrl(tab?.url || null))
+    }, [])
+
+    // Маршрут считает background; после изменения настроек он присылает routingUpdated
+    useEffect(() => {
+        if (!tabUrl) return
+        const load = () => {
+            chrome.runtime.sendMessage({ type: 'getRoute', url: tabUrl })
+                .then(setRoute)
+                .catch(() => setRoute(null))
+        }
+        const onMessage = (message) => {
+            if (message.type === 'routingUpdated') load()
+        }
+        load()
+        chrome.runtime.onMessage.addListener(onMessage)
+        return () => chrome.runtime.onMessage.removeListener(onMessage)
+    }, [tabUrl])
+
+    if (!route) return null
+
+    const { host, rule, proxied, target } = route
+    const candidates = [...new Set([host, registrableDomain(host)])]
+
+    return (
+        <section className="config-section current-tab">
+            <h2>{t('currentSite')}</h2>
+            <div className="current-tab-host">{host}</div>
+            <div className={`current-tab-route ${proxied ? 'proxied' : ''}`}>
+                {describeRoute(proxied, target)} — {describeRule(rule)}
+                {!route.isEnabled && ` · ${t('proxyIsOff')}`}
+            </div>
+            <div className="current-tab-actions">
+                {rule?.kind === 'site' && (
+                    <button className="btn-chip" onClick={() => onRemoveSite(rule.name)}>{t('removeSite', rule.name)}</button>
+                )}
+                {rule?.kind === 'exclusion' && directSites.includes(rule.name) && (
+                    <button className="btn-chip" onClick={() => onRemoveDirect(rule.name)}>{t('removeExclusion', rule.name)}</button>
+                )}
+                {!proxied && rule?.kind !== 'exclusion' && candidates.filter(c => !sites.includes(c)).map(c => (
+                    <button key={c} className="btn-chip" onClick={() => onAddSite(c)}>{t('proxySite', c)}</button>
+                ))}
+                {proxied && candidates.filter(c => !directSites.includes(c)).map(c => (
+                    <button key={c} className="btn-chip" onClick={() => onAddDirect(c)}>{t('directSite', c)}</button>
+                ))}
+            </div>
+        </section>
+    )
+}
+
+export default CurrentTab
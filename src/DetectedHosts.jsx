@@ -0,0 +1,48 @@
+import { useState, useEffect } from 'react'
+import { normalizeDetected } from './blocked-hosts.js'
+import { t, formatDate } from './i18n.js'
+
+// Хосты, которые не открылись напрямую, но открылись через прокси: предложения и временно добавленные
+function DetectedHosts() {
+    const [detected, setDetected] = useState(normalizeDetected())
+
+    useEffect(() => {
+        chrome.storage.local.get('detectedHosts', result => setDetected(normalizeDetected(result.detectedHosts)))
+        const onChanged = (changes, area) => {
+            if (area === 'local' && changes.detectedHosts) setDetected(normalizeDetected(changes.detectedHosts.newValue))
+        }
+        chrome.storage.onChanged.addListener(onChanged)
+        return () => chrome.storage.onChanged.removeListener(onChanged)
+    }, [])
+
+    // Одобренный хост становится обычным сайтом списка, отклонённый больше не предлагается
+    const review = (host, approve) => chrome.runtime.sendMessage({ type: 'reviewDetectedHost', host, approve })
+
+    const { suggestions, learned } = detected
+    if (!suggestions.length && !learned.length) return null
+
+    return (
+        <section className="config-section detected-hosts">
+            <h2>{t('looksBlocked')}</h2>
+            <div className="scroll-area">
+                {suggestions.map(item => (
+                    <div key={item.host} className="detected-host">
+                        <span className="site-name" title={item.error}>{item.host}</span>
+                        <button className="btn-chip" onClick={() => review(item.host, true)}>{t('add')}</button>
+                        <button className="btn-chip" onClick={() => review(item.host, false)}>{t('reject')}</button>
+                    </div>
+                ))}
+                {learned.map(item => (
+                    <div key={item.host} className="detected-host learned">
+                        <span className="site-name" title={item.error}>{item.host}</span>
+                        <span className="detected-expiry">{t('learnedUntil', formatDate(item.expiresAt))}</span>
+                        <button className="btn-chip" onClick={() => review(item.host, true)}>{t('keepForever')}</button>
+                        <button className="btn-chip" onClick={() => review(item.host, false)}>{t('remove')}</button>
+                    </div>
+                ))}
+            </div>
+        </section>
+    )
+}
+
+export default DetectedHosts
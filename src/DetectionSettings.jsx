@@ -0,0 +1,49 @@
+import { useState, useEffect } from 'react'
+import { normalizeDetectionSettings, DETECTION_MODES } from './blocked-hosts.js'
+import { t } from './i18n.js'
+
+// Автоопределение блокировок: что делать с хостами, которые открылись только через прокси
+function DetectionSettings() {
+    const [settings, setSettings] = useState(normalizeDetectionSettings())
+
+    useEffect(() => {
+        chrome.storage.local.get('blockDetection', result => setSettings(normalizeDetectionSettings(result.blockDetection)))
+    }, [])
+
+    const save = (patch) => {
+        const updated = normalizeDetectionSettings({ ...settings, ...patch })
+        setSettings(updated)
+        chrome.storage.local.set({ blockDetection: updated })
+    }
+
+    return (
+        <section className="config-section">
+            <h2>{t('detectionTitle')}</h2>
+            <div className="options-row">
+                <select className="route-select" value={settings.mode} onChange={(e) => save({ mode: e.target.value })}>
+                    {Object.entries(DETECTION_MODES).map(([mode, label]) => (
+                        <option key={mode} value={mode}>{t(label)}</option>
+                    ))}
+                </select>
+                {settings.mode === 'learn' && (
+                    <label>
+                        {t('forPrefix')}{' '}
+                        <input
+                            type="number"
+                            className="interval-input"
+                            min="1"
+                            value={settings.learnDays}
+                            onChange={(e) => save({ learnDays: e.target.value })}
+                        />
+                        {' '}{t('daysShort')}
+                    </label>
+                )}
+            </div>
+            <div className="options-hint">
+                {t('detectionHint')}
+            </div>
+        </section>
+    )
+}
+
+export default DetectionSettings
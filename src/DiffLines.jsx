@@ -0,0 +1,20 @@
+import { t } from './i18n.js'
+
+// Сколько строк каждого изменения показывать
+const PREVIEW_LINES = 20
+
+// Добавленные или удалённые строки изменения; длинные списки обрезаются
+function DiffLines({ lines, sign }) {
+    return (
+        <>
+            {lines.slice(0, PREVIEW_LINES).map(line => (
+                <div key={sign + line} className={`diff-line ${sign === '+' ? 'added' : 'removed'}`}>{sign} {line}</div>
+            ))}
+            {lines.length > PREVIEW_LINES && (
+                <div className="diff-line">{t('moreLines', lines.length - PREVIEW_LINES)}</div>
+            )}
+        </>
+    )
+}
+
+export default DiffLines
@@ -0,0 +1,128 @@
+import { useState, useEffect, useMemo } from 'react'
+import { BUILTIN_SOURCE_ID, withBuiltinSource, diffSourceRules } from './rule-sources.js'
+import { getRules, getSnapshot } from './rule-store.js'
+import { countRules } from './pac.js'
+import { t, formatDateTime, formatNumber } from './i18n.js'
+import DiffLines from './DiffLines.jsx'
+
+// Откуда взята текущая база
+function describeSource(state) {
+    if (state?.fileName) return t('databaseFromFile', state.fileName)
+    if (state?.url) return t('databaseFromHost', new URL(state.url).host)
+    return t('databaseBundled')
+}
+
+// Изменения между текущей базой и сохранённой предыдущей версией; считаются, только когда раскрыты
+function SnapshotDiff({ current, snapshot }) {
+    const diff = useMemo(() => diffSourceRules(snapshot, current), [snapshot, current])
+    return (
+        <>
+            {!diff.changes.length && <div className="geosite-status-line">{t('databaseDiffNone')}</div>}
+            {diff.changes.map(change => (
+                <div key={change.category}>
+                    <div className="diff-key">{change.category} +{change.added.length} −{change.removed.length}</div>
+                    <DiffLines lines={change.added} sign="+" />
+                    <DiffLines lines={change.removed} sign="−" />
+                </div>
+            ))}
+            {diff.skipped.length > 0 && (
+                <div className="geosite-status-line">{t('databaseDiffSkipped', diff.skipped.join(', '))}</div>
+            )}
+        </>
+    )
+}
+
+// Состояние встроенной базы geosite.dat: источник, время обновления, правила по категориям, откат и изменения
+function GeositeStatus() {
+    const [state, setState] = useState(null) // { etag, lastCheck, lastUpdate, url, fileName, error, rolledBack }
+    const [source, setSource] = useState(withBuiltinSource()[0])
+    const [current, setCurrent] = useState(null) // { rules, categories } из IndexedDB
+    const [snapshot, setSnapshot] = useState(null) // предыдущая версия: { rules, categories, selected, file, state, savedAt }
+    const [busy, setBusy] = useState(null) // 'check' | 'rollback'
+    const [message, setMessage] = useState('')
+    const [showDiff, setShowDiff] = useState(false)
+
+    useEffect(() => {
+        const loadRules = () => Promise.all([getRules(BUILTIN_SOURCE_ID), getSnapshot(BUILTIN_SOURCE_ID)])
+            .then(([rules, previous]) => {
+                setCurrent(rules || null)
+                setSnapshot(previous || null)
+            })
+        loadRules()
+        chrome.storage.local.get('ruleSourceState', result => setState(result.ruleSourceState?.[BUILTIN_SOURCE_ID] || null))
+        chrome.storage.sync.get('ruleSources', result => setSource(withBuiltinSource(result.ruleSources)[0]))
+
+        const onChanged = (changes, area) => {
+            if (area === 'local' && changes.ruleSourceState) setState(changes.ruleSourceState.newValue?.[BUILTIN_SOURCE_ID] || null)
+            if (area === 'local' && changes.rulesUpdatedAt) loadRules()
+            if (area === 'sync' && changes.ruleSources) setSource(withBuiltinSource(changes.ruleSources.newValue)[0])
+        }
+        chrome.storage.onChanged.addListener(onChanged)
+        return () => chrome.storage.onChanged.removeListener(onChanged)
+    }, [])
+
+    // Проверка идёт через ETag: без изменений файл не скачивается
+    const checkNow = async () => {
+        setBusy('check')
+        setMessage('')
+        await chrome.runtime.sendMessage({ type: 'updateRuleSource', id: BUILTIN_SOURCE_ID })
+        setBusy(null)
+    }
+
+    // Текущая версия и сохранённая меняются местами, поэтому откат можно отменить
+    const rollback = async () => {
+        setBusy('rollback')
+        const ok = await chrome.runtime.sendMessage({ type: 'rollbackRuleSource', id: BUILTIN_SOURCE_ID })
+        setMessage(ok ? '' : t('rollbackFailed'))
+        setBusy(null)
+    }
+
+    const counts = Object.entries(current?.rules || {})
+        .map(([category, rules]) => [category, countRules(rules)])
+        .sort(([a], [b]) => a.localeCompare(b))
+    const total = counts.reduce((n, [, count]) => n + count, 0)
+
+    return (
+        <section className="config-section geosite-status">
+            <h2>{t('databaseTitle')}</h2>
+            {!current && <div className="geosite-status-line">{t('databaseNotLoaded')}</div>}
+            {current && <div className="geosite-status-line">{describeSource(state)}</div>}
+            {state?.lastUpdate && <div className="geosite-status-line">{t('databaseUpdated', formatDateTime(state.lastUpdate))}</div>}
+            {state?.lastCheck && <div className="geosite-status-line">{t('databaseChecked', formatDateTime(state.lastCheck))}</div>}
+            {state?.rolledBack && <div className="geosite-status-line">{t('databaseRolledBack')}</div>}
+            {state?.error && <div className="credential-warning">{t('errorPrefix', state.error)}</div>}
+            {message && <div className="credential-warning">{message}</div>}
+
+            <div className="geosite-status-actions">
+                <button className="btn-chip" onClick={checkNow} disabled={Boolean(busy) || !source.urls?.length}>
+                    {busy === 'check' ? t('checking') : t('checkNow')}
+                </button>
+                {snapshot && (
+                    <button className="btn-chip" onClick={rollback} disabled={Boolean(busy)}>
+                        {state?.rolledBack ? t('restoreUpdate') : t('rollBack')}
+                    </button>
+                )}
+            </div>
+
+            {current && (
+                <details>
+                    <summary>{t('databaseTotal', formatNumber(total), counts.length)}</summary>
+                    {counts.map(([category, count]) => (
+                        <div key={category} className="site-item category-item">
+                            <span className="category-name">{category}</span>
+                            <span className="category-count">{formatNumber(count)}</span>
+                        </div>
+                    ))}
+                </details>
+            )}
+            {current && snapshot && (
+                <details onToggle={(e) => setShowDiff(e.target.open)}>
+                    <summary>{t('databaseDiff', formatDateTime(snapshot.state.lastUpdate ?? snapshot.savedAt))}</summary>
+                    {showDiff && <SnapshotDiff current={current} snapshot={snapshot} />}
+                </details>
+            )}
+        </section>
+    )
+}
+
+export default GeositeStatus
@@ -0,0 +1,78 @@
+import { useState, useEffect } from 'react'
+import { normalizeHealthSettings, FAILOVER_MODES, FAILURE_THRESHOLD } from './health.js'
+import { t } from './i18n.js'
+
+// Настройки фоновой проверки основного прокси
+function HealthSettings() {
+    const [settings, setSettings] = useState(normalizeHealthSettings())
+    const [url, setUrl] = useState(settings.url)
+    const [message, setMessage] = useState(null) // { error, text }
+
+    useEffect(() => {
+        chrome.storage.local.get('healthCheck', (result) => {
+            const loaded = normalizeHealthSettings(result.healthCheck)
+            setSettings(loaded)
+            setUrl(loaded.url)
+        })
+    }, [])
+
+    const save = (patch) => {
+        const updated = normalizeHealthSettings({ ...settings, ...patch })
+        setSettings(updated)
+        chrome.storage.local.set({ healthCheck: updated })
+        return updated
+    }
+
+    // Адрес сохраняется при потере фокуса; неверный заменяется прежним
+    const saveUrl = () => {
+        if (url.trim() === settings.url) return
+        const updated = save({ url: url.trim() })
+        setUrl(updated.url)
+        setMessage(updated.url === url.trim() ? null : { error: true, text: t('errorHttpUrl') })
+    }
+
+    return (
+        <section className="config-section">
+            <h2>{t('healthCheckTitle')}</h2>
+            <div className="options-row">
+                <input
+                    type="text"
+                    className="category-search health-url"
+                    placeholder="https://www.gstatic.com/generate_204"
+                    value={url}
+                    onChange={(e) => setUrl(e.target.value)}
+                    onBlur={saveUrl}
+                />
+            </div>
+            <div className="options-row">
+                <label>
+                    {t('every')}{' '}
+                    <input
+                        type="number"
+                        className="interval-input"
+                        min="1"
+                        value={settings.intervalMinutes}
+                        onChange={(e) => save({ intervalMinutes: e.target.value })}
+                    />
+                    {' '}{t('minutesShort')}
+                </label>
+                <label>
+                    {t('ifDown')}{' '}
+                    <select className="route-select" value={settings.failover} onChange={(e) => save({ failover: e.target.value })}>
+                        {Object.entries(FAILOVER_MODES).map(([mode, label]) => (
+                            <option key={mode} value={mode}>{t(label)}</option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+            <div className="options-hint">
+                {t('healthHint', FAILURE_THRESHOLD)}
+            </div>
+            {message && (
+                <div className={`options-message ${message.error ? 'error' : ''}`}>{message.text}</div>
+            )}
+        </section>
+    )
+}
+
+export default HealthSettings
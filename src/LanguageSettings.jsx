@@ -0,0 +1,37 @@
+import { useState, useEffect } from 'react'
+import { LANGUAGES, t } from './i18n.js'
+
+// Названия языков пишутся на самих языках, чтобы свой можно было найти из любого
+const LANGUAGE_NAMES = { en: 'English', ru: 'Русский' }
+
+// Язык интерфейса: по языку браузера или выбранный вручную
+function LanguageSettings() {
+    const [language, setLanguage] = useState('auto')
+
+    useEffect(() => {
+        chrome.storage.local.get('uiLanguage', result => setLanguage(result.uiLanguage || 'auto'))
+    }, [])
+
+    // Строки берутся при отрисовке, поэтому страница перезагружается с новым языком
+    const change = async (value) => {
+        setLanguage(value)
+        await chrome.storage.local.set({ uiLanguage: value })
+        location.reload()
+    }
+
+    return (
+        <section className="config-section">
+            <h2>{t('languageTitle')}</h2>
+            <div className="options-row">
+                <select className="route-select" value={language} onChange={(e) => change(e.target.value)}>
+                    {LANGUAGES.map(value => (
+                        <option key={value} value={value}>{value === 'auto' ? t('languageAuto') : LANGUAGE_NAMES[value]}</option>
+                    ))}
+                </select>
+            </div>
+            <div className="options-hint">{t('languageHint')}</div>
+        </section>
+    )
+}
+
+export default LanguageSettings
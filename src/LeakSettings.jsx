@@ -0,0 +1,41 @@
+import { useState, useEffect } from 'react'
+import { normalizeLeakProtection } from './leak-protection.js'
+import { t } from './i18n.js'
+
+// Защита от утечек реального IP через WebRTC и DNS, пока прокси включён
+function LeakSettings() {
+    const [settings, setSettings] = useState(normalizeLeakProtection())
+
+    useEffect(() => {
+        chrome.storage.local.get('leakProtection', result => setSettings(normalizeLeakProtection(result.leakProtection)))
+    }, [])
+
+    const toggle = (key) => {
+        const updated = { ...settings, [key]: !settings[key] }
+        setSettings(updated)
+        chrome.storage.local.set({ leakProtection: updated })
+    }
+
+    return (
+        <section className="config-section">
+            <h2>{t('leakTitle')}</h2>
+            <div className="options-row">
+                <label>
+                    <input type="checkbox" checked={settings.webrtc} onChange={() => toggle('webrtc')} />
+                    {' '}{t('leakWebrtcOption')}
+                </label>
+            </div>
+            <div className="options-row">
+                <label>
+                    <input type="checkbox" checked={settings.dns} onChange={() => toggle('dns')} />
+                    {' '}{t('leakDnsOption')}
+                </label>
+            </div>
+            <div className="options-hint">
+                {t('leakSettingsHint')}
+            </div>
+        </section>
+    )
+}
+
+export default LeakSettings
@@ -0,0 +1,31 @@
+import { useState, useEffect } from 'react'
+import { t } from './i18n.js'
+
+// Что сейчас защищает реальный IP и DNS; состояние пишет background при каждом применении настроек
+function LeakStatus({ isEnabled }) {
+    const [status, setStatus] = useState([])
+
+    useEffect(() => {
+        chrome.storage.local.get('leakStatus', result => setStatus(result.leakStatus || []))
+        const onChanged = (changes, area) => {
+            if (area === 'local' && changes.leakStatus) setStatus(changes.leakStatus.newValue || [])
+        }
+        chrome.storage.onChanged.addListener(onChanged)
+        return () => chrome.storage.onChanged.removeListener(onChanged)
+    }, [])
+
+    if (!isEnabled || !status.length) return null
+
+    return (
+        <div className="leak-status" title={t('leakHint')}>
+            {status.map(item => (
+                <div key={item.kind} className="leak-status-item">
+                    <span className={`health-dot ${item.ok ? 'ok' : 'slow'}`} />
+                    <span>{t(item.key, ...item.args)}</span>
+                </div>
+            ))}
+        </div>
+    )
+}
+
+export default LeakStatus
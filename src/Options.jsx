@@ -0,0 +1,35 @@
+import SiteManager from './SiteManager.jsx'
+import RuleSources from './RuleSources.jsx'
+import HealthSettings from './HealthSettings.jsx'
+import DetectionSettings from './DetectionSettings.jsx'
+import AutoEnableSettings from './AutoEnableSettings.jsx'
+import CredentialSettings from './CredentialSettings.jsx'
+import LeakSettings from './LeakSettings.jsx'
+import LanguageSettings from './LanguageSettings.jsx'
+import Backup from './Backup.jsx'
+import './App.css'
+import './Options.css'
+
+// Страница настроек (options_ui): то, чему тесно в попапе
+function Options() {
+    return (
+        <div className="container options">
+            <header>
+                <h1>Auto Proxy</h1>
+            </header>
+            <main>
+                <SiteManager />
+                <RuleSources />
+                <AutoEnableSettings />
+                <HealthSettings />
+                <DetectionSettings />
+                <CredentialSettings />
+                <LeakSettings />
+                <LanguageSettings />
+                <Backup />
+            </main>
+        </div>
+    )
+}
+
+export default Options
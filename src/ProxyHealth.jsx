@@ -0,0 +1,96 @@
+import { useState, useEffect } from 'react'
+import { normalizeHealthSettings, isFailingOver, proxyKey, SLOW_LATENCY_MS } from './health.js'
+import { t, formatTime } from './i18n.js'
+
+// Ошибка прокси в обычном трафике показывается, пока она свежая
+const RECENT_ERROR_MS = 10 * 60 * 1000
+
+function describeCheck(health) {
+    if (health.status === 'ok') return t('healthOk', health.latency)
+    if (health.status === 'slow') return t('healthSlow', health.latency)
+    if (health.status === 'auth') return t('healthAuth')
+    return t('healthFail', health.error)
+}
+
+const checkClass = check => !check.ok ? 'fail' : check.latency > SLOW_LATENCY_MS ? 'slow' : 'ok'
+
+const STATUS_CLASSES = { ok: 'ok', slow: 'slow', auth: 'fail', fail: 'fail' }
+
+// Состояние основного прокси по фоновым проверкам и история последних проверок
+function ProxyHealth({ isEnabled, proxy }) {
+    const [health, setHealth] = useState(null)
+    const [settings, setSettings] = useState(normalizeHealthSettings())
+    const [proxyError, setProxyError] = useState(null)
+    const [checking, setChecking] = useState(false)
+
+    useEffect(() => {
+        chrome.storage.local.get(['proxyHealth', 'healthCheck', 'lastProxyError'], (result) => {
+            setHealth(result.proxyHealth || null)
+            setSettings(normalizeHealthSettings(result.healthCheck))
+            setProxyError(result.lastProxyError || null)
+        })
+        const onChanged = (changes, area) => {
+            if (area !== 'local') return
+            if (changes.proxyHealth) setHealth(changes.proxyHealth.newValue || null)
+            if (changes.healthCheck) setSettings(normalizeHealthSettings(changes.healthCheck.newValue))
+            if (changes.lastProxyError) setProxyError(changes.lastProxyError.newValue || null)
+        }
+        chrome.storage.onChanged.addListener(onChanged)
+        return () => chrome.storage.onChanged.removeListener(onChanged)
+    }, [])
+
+    const checkNow = async () => {
+        setChecking(true)
+        await chrome.runtime.sendMessage({ type: 'checkProxyHealth' })
+        setChecking(false)
+    }
+
+    if (!proxy) return null
+
+    // История относится к прокси, который проверялся; у нового её ещё нет
+    const key = proxyKey(proxy)
+    const current = health?.proxy === key ? health : null
+    const failingOver = isEnabled && isFailingOver(current, settings, key)
+    const recentError = isEnabled && proxyError && Date.now() - proxyError.at < RECENT_ERROR_MS
+
+    return (
+        <div className="proxy-health">
+            <div className="proxy-health-status">
+                <span className={`health-dot ${current ? STATUS_CLASSES[current.status] : ''}`} />
+                <span className="proxy-health-text">
+                    {!isEnabled ? t('healthWhileEnabled') : current ? `${describeCheck(current)} · ${formatTime(current.lastCheck)}` : t('healthNotChecked')}
+                </span>
+                {isEnabled && (
+                    <button className="btn-chip" onClick={checkNow} disabled={checking}>
+                        {checking ? t('checking') : t('checkNow')}
+                    </button>
+                )}
+            </div>
+            {current?.history?.length > 0 && (
+                <div className="health-history" title={t('recentChecks')}>
+                    {current.history.map(check => (
+                        <span
+                            key={check.at}
+                            className={`health-tick ${checkClass(check)}`}
+                            title={`${formatTime(check.at)}: ${check.ok ? t('milliseconds', check.latency) : check.error}`}
+                        />
+                    ))}
+                </div>
+            )}
+            {failingOver && (
+                <div className="proxy-health-warning">
+                    {settings.failover === 'direct'
+                        ? t('failoverDirect')
+                        : t('failoverBackup')}
+                </div>
+            )}
+            {recentError && (
+                <div className="proxy-health-warning">
+                    {formatTime(proxyError.at)} {proxyError.host}: {proxyError.error}
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default ProxyHealth
@@ -0,0 +1,112 @@
+import { useState, useEffect } from 'react'
+import { failedDirectHosts, logToCsv } from './request-log.js'
+import { describeRule, describeRoute } from './CurrentTab.jsx'
+import { t } from './i18n.js'
+
+// Фильтр и ключ его названия
+const FILTERS = {
+    all: 'filterAll',
+    proxied: 'filterProxied',
+    direct: 'filterDirect',
+    failed: 'filterFailed'
+}
+
+const matchesFilter = {
+    all: () => true,
+    proxied: e => e.proxied,
+    direct: e => !e.proxied,
+    failed: e => e.errors > 0
+}
+
+function download(text, filename, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = filename
+    link.click()
+    URL.revokeObjectURL(url)
+}
+
+// Журнал хостов активной вкладки: куда ушёл запрос, по какому правилу и с какой ошибкой
+function RequestLog({ sites, onAddSites }) {
+    const [tabId, setTabId] = useState(null)
+    const [entries, setEntries] = useState([])
+    const [filter, setFilter] = useState('all')
+
+    useEffect(() => {
+        chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => setTabId(tab?.id ?? null))
+    }, [])
+
+    // Журнал ведёт background в chrome.storage.session и сохраняет раз в секунду
+    useEffect(() => {
+        if (tabId === null) return
+        const key = `requestLog.${tabId}`
+        chrome.storage.session.get(key, result => setEntries(result[key] || []))
+        const onChanged = (changes, area) => {
+            if (area === 'session' && changes[key]) setEntries(changes[key].newValue || [])
+        }
+        chrome.storage.onChanged.addListener(onChanged)
+        return () => chrome.storage.onChanged.removeListener(onChanged)
+    }, [tabId])
+
+    const clear = () => {
+        setEntries([])
+        chrome.runtime.sendMessage({ type: 'clearRequestLog', tabId })
+    }
+
+    const stamp = () => new Date().toISOString().slice(0, 19).replace(/:/g, '-')
+    const exportJson = () => download(JSON.stringify(entries, null, 2), `requests-${stamp()}.json`, 'application/json')
+    const exportCsv = () => download(logToCsv(entries), `requests-${stamp()}.csv`, 'text/csv')
+
+    // Новые хосты сверху
+    const visible = entries.filter(matchesFilter[filter]).reverse()
+    const failed = failedDirectHosts(entries).filter(host => !sites.includes(host))
+
+    return (
+        <section className="config-section request-log">
+            <h2>{t('tabRequests', entries.length)}</h2>
+            <div className="request-log-toolbar">
+                <select className="route-select" value={filter} onChange={(e) => setFilter(e.target.value)}>
+                    {Object.entries(FILTERS).map(([value, label]) => (
+                        <option key={value} value={value}>{t(label)}</option>
+                    ))}
+                </select>
+                <button className="btn-chip" onClick={exportJson} disabled={!entries.length}>JSON</button>
+                <button className="btn-chip" onClick={exportCsv} disabled={!entries.length}>CSV</button>
+                <button className="btn-chip" onClick={clear} disabled={!entries.length}>{t('clear')}</button>
+            </div>
+            {failed.length > 0 && (
+                <button className="btn-chip request-log-add-all" onClick={() => onAddSites(failed)}>
+                    {t('proxyFailedHosts', failed.length)}
+                </button>
+            )}
+            <div className="scroll-area request-log-list">
+                {!visible.length && (
+                    <div className="empty-hint">{entries.length ? t('nothingFound') : t('reloadToSeeRequests')}</div>
+                )}
+                {visible.map(entry => (
+                    <div key={entry.host} className={`request-log-entry ${entry.error ? 'failed' : ''}`}>
+                        <div className="request-log-host">
+                            <span className="site-name" title={entry.host}>{entry.host}</span>
+                            <span className="category-count">{entry.count}</span>
+                        </div>
+                        <div className={`current-tab-route ${entry.proxied ? 'proxied' : ''}`}>
+                            {describeRoute(entry.proxied, entry.target)} — {describeRule(entry.rule)}
+                        </div>
+                        {entry.chain && <div className="request-log-detail">{entry.chain}</div>}
+                        {entry.error && (
+                            <div className="request-log-detail error">
+                                {entry.error}{entry.errors > 1 && ` (×${entry.errors})`}
+                                {!entry.proxied && entry.rule?.kind !== 'exclusion' && !sites.includes(entry.host) && (
+                                    <button className="btn-chip" onClick={() => onAddSites([entry.host])}>{t('toProxy')}</button>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                ))}
+            </div>
+        </section>
+    )
+}
+
+export default RequestLog
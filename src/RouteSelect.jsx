@@ -0,0 +1,17 @@
+import { DIRECT, DEFAULT_PROFILE } from './routing.js'
+import { t } from './i18n.js'
+
+// Куда направлять правило: основной прокси, один из профилей или напрямую
+function RouteSelect({ value, profiles, onChange }) {
+    return (
+        <select className="route-select" value={value ?? DEFAULT_PROFILE} onChange={(e) => onChange(e.target.value)}>
+            <option value={DEFAULT_PROFILE}>{t('routePrimary')}</option>
+            {profiles.map(p => (
+                <option key={p.name} value={p.name}>{p.name}</option>
+            ))}
+            <option value={DIRECT}>{t('routeDirect')}</option>
+        </select>
+    )
+}
+
+export default RouteSelect
@@ -0,0 +1,310 @@
+import { useState, useEffect } from 'react'
+import {
+    BUILTIN_SOURCE_ID, SOURCE_FORMATS, DEFAULT_UPDATE_HOURS,
+    withBuiltinSource, sourceCategoryName, isSourceNameFree
+} from './rule-sources.js'
+import { getAllRules, storeFile } from './rule-store.js'
+import { DEFAULT_PROFILE } from './routing.js'
+import { createShardedStorage, shardChanged } from './sync-storage.js'
+import RouteSelect from './RouteSelect.jsx'
+import { t, formatDateTime } from './i18n.js'
+
+// Маршруты с множеством сайтов хранятся в sync частями
+const syncStorage = createShardedStorage(chrome.storage.sync)
+
+// Сколько категорий geosite показывать в поиске
+const CATEGORY_LIMIT = 50
+
+const parseUrls = text => text.split(/\s+/).map(u => u.trim()).filter(Boolean)
+
+// Откуда взято последнее обновление источника
+function describeUpdate(state) {
+    const at = formatDateTime(state.lastUpdate)
+    if (state.fileName) return t('updatedFromFile', at, state.fileName)
+    return state.url ? t('updatedFromHost', at, new URL(state.url).host) : t('updatedAt', at)
+}
+
+// Состояние последней проверки источника
+function SourceStatus({ state, hasUrls }) {
+    if (!state) return <div className="options-hint">{hasUrls ? t('notLoadedYet') : t('uploadAFile')}</div>
+    return (
+        <div className="options-hint">
+            {state.lastUpdate && `${describeUpdate(state)} `}
+            {state.lastCheck && `${t('checkedAt', formatDateTime(state.lastCheck))} `}
+            {state.error && <span className="quota-warning">{t('errorPrefix', state.error)}</span>}
+        </div>
+    )
+}
+
+// Выбор категорий дополнительного geosite.dat с маршрутом для выбранных
+function CategoryPicker({ source, available, routes, profiles, onToggle, onRoute }) {
+    const [filter, setFilter] = useState('')
+    const selected = source.categories || []
+    const query = filter.trim().toUpperCase()
+    const visible = available
+        .filter(c => selected.includes(c.name) || (query && c.name.includes(query)))
+        .slice(0, CATEGORY_LIMIT)
+
+    return (
+        <>
+            <input
+                type="text"
+                className="category-search"
+                placeholder={available.length ? t('categorySearch') : t('categoriesAfterDownload')}
+                value={filter}
+                onChange={(e) => setFilter(e.target.value)}
+            />
+            {visible.map(category => (
+                <label key={category.name} className="site-item category-item">
+                    <input type="checkbox" checked={selected.includes(category.name)} onChange={() => onToggle(category.name)} />
+                    <span className="category-name">{category.name}</span>
+                    <span className="category-count">{category.count}</span>
+                    {selected.includes(category.name) && (
+                        <RouteSelect
+                            value={routes.categories[sourceCategoryName(source, category.name)]}
+                            profiles={profiles}
+                            onChange={(target) => onRoute(sourceCategoryName(source, category.name), target)}
+                        />
+                    )}
+                </label>
+            ))}
+        </>
+    )
+}
+
+function SourceCard({ source, state, parsed, routes, profiles, onChange, onRemove, onRoute, onMessage }) {
+    const [urls, setUrls] = useState((source.urls || []).join('\n'))
+    const [updating, setUpdating] = useState(false)
+    const builtin = source.id === BUILTIN_SOURCE_ID
+
+    useEffect(() => setUrls((source.urls || []).join('\n')), [source.urls])
+
+    const saveUrls = () => {
+        const updated = parseUrls(urls)
+        if (updated.join() !== (source.urls || []).join()) onChange({ urls: updated })
+    }
+
+    const updateNow = async () => {
+        setUpdating(true)
+        await chrome.runtime.sendMessage({ type: 'updateRuleSource', id: source.id })
+        setUpdating(false)
+    }
+
+    // Файл по частям кладётся в IndexedDB, как и загрузки, а разбирает его background
+    const uploadFile = async (e) => {
+        const file = e.target.files[0]
+        e.target.value = ''
+        if (!file) return
+        const stored = await storeFile(source.id, file)
+        const ok = await chrome.runtime.sendMessage({ type: 'uploadRuleSource', id: source.id, file: { ...stored, fileName: file.name } })
+        onMessage(ok
+            ? { error: false, text: t('fileUploaded', source.name, file.name) }
+            : { error: true, text: t('fileParseFailed', source.name, file.name) })
+    }
+
+    const toggleCategory = (name) => {
+        const selected = source.categories || []
+        onChange({ categories: selected.includes(name) ? selected.filter(c => c !== name) : [...selected, name] })
+    }
+
+    return (
+        <div className="source-card">
+            <div className="options-row">
+                <label>
+                    <input type="checkbox" checked={source.enabled !== false} onChange={(e) => onChange({ enabled: e.target.checked })} />
+                    {' '}<b>{source.name}</b>
+                </label>
+                <span className="options-hint">{t(SOURCE_FORMATS[source.format])}</span>
+                {!builtin && <button onClick={onRemove} className="btn-remove" title={t('removeSource')}>×</button>}
+            </div>
+
+            <textarea
+                className="bulk-paste source-urls"
+                placeholder={t('sourceUrlsPlaceholder')}
+                value={urls}
+                onChange={(e) => setUrls(e.target.value)}
+                onBlur={saveUrls}
+            />
+            <div className="options-row">
+                <label>
+                    {t('checkEvery')}{' '}
+                    <input
+                        type="number"
+                        className="interval-input"
+                        min="1"
+                        value={source.updateHours || DEFAULT_UPDATE_HOURS}
+                        onChange={(e) => onChange({ updateHours: Math.max(1, Number(e.target.value) || DEFAULT_UPDATE_HOURS) })}
+                    />
+                    {' '}{t('hoursShort')}
+                </label>
+                {source.urls?.length > 0 && (
+                    <button className="btn-secondary" onClick={updateNow} disabled={updating}>
+                        {updating ? t('updating') : t('updateNow')}
+                    </button>
+                )}
+                <label className="btn-secondary">
+                    {t('uploadFile')}
+                    <input type="file" onChange={uploadFile} />
+                </label>
+            </div>
+            <SourceStatus state={state} hasUrls={source.urls?.length > 0} />
+
+            {builtin && <div className="options-hint">{t('builtinCategoriesHint')}</div>}
+            {!builtin && source.format === 'geosite' && (
+                <CategoryPicker
+                    source={source}
+                    available={parsed?.categories || []}
+                    routes={routes}
+                    profiles={profiles}
+                    onToggle={toggleCategory}
+                    onRoute={onRoute}
+                />
+            )}
+            {!builtin && source.format !== 'geosite' && (
+                <div className="options-row">
+                    <span className="options-hint">{t('sourceRuleCount', parsed?.categories[0]?.count ?? 0)}</span>
+                    <RouteSelect
+                        value={routes.categories[sourceCategoryName(source)]}
+                        profiles={profiles}
+                        onChange={(target) => onRoute(sourceCategoryName(source), target)}
+                    />
+                </div>
+            )}
+        </div>
+    )
+}
+
+// Источники правил: встроенный geosite.dat, его зеркала и дополнительные списки
+function RuleSources() {
+    const [sources, setSources] = useState(withBuiltinSource())
+    const [states, setStates] = useState({}) // { id: { etag, lastCheck, lastUpdate, url, fileName, error } }
+    const [storedRules, setStoredRules] = useState({}) // { id: { rules, categories } } из IndexedDB
+    const [routes, setRoutes] = useState({ categories: {}, sites: {} })
+    const [profiles, setProfiles] = useState([])
+    const [newName, setNewName] = useState('')
+    const [newFormat, setNewFormat] = useState('list')
+    const [newUrls, setNewUrls] = useState('')
+    const [message, setMessage] = useState(null) // { error, text }
+
+    useEffect(() => {
+        const loadRoutes = () => syncStorage.get('routes').then(result => setRoutes({ categories: {}, sites: {}, ...result.routes }))
+        chrome.storage.sync.get('ruleSources', result => setSources(withBuiltinSource(result.ruleSources)))
+        loadRoutes()
+        chrome.storage.local.get(['ruleSourceState', 'proxyProfiles'], (result) => {
+            setStates(result.ruleSourceState || {})
+            setProfiles(result.proxyProfiles || [])
+        })
+        const loadRules = () => getAllRules().then(setStoredRules)
+        loadRules()
+
+        const onChanged = (changes) => {
+            if (changes.ruleSources) setSources(withBuiltinSource(changes.ruleSources.newValue))
+            if (shardChanged(changes, 'routes')) loadRoutes()
+            if (changes.ruleSourceState) setStates(changes.ruleSourceState.newValue || {})
+            if (changes.rulesUpdatedAt) loadRules()
+            if (changes.proxyProfiles) setProfiles(changes.proxyProfiles.newValue || [])
+        }
+        chrome.storage.onChanged.addListener(onChanged)
+        return () => chrome.storage.onChanged.removeListener(onChanged)
+    }, [])
+
+    const saveSources = (updated) => {
+        setSources(updated)
+        chrome.storage.sync.set({ ruleSources: updated })
+            .catch(err => setMessage({ error: true, text: t('saveFailed', err.message) }))
+    }
+
+    const saveRoutes = (updated) => {
+        setRoutes(updated)
+        syncStorage.set({ routes: updated })
+            .catch(err => setMessage({ error: true, text: t('saveFailed', err.message) }))
+    }
+
+    const changeSource = (id, patch) => saveSources(sources.map(s => s.id === id ? { ...s, ...patch } : s))
+
+    // Маршруты категорий удалённого источника больше не нужны
+    const removeSource = (source) => {
+        if (!confirm(t('confirmRemoveSource', source.name))) return
+        saveSources(sources.filter(s => s.id !== source.id))
+        const categories = Object.fromEntries(Object.entries(routes.categories)
+            .filter(([name]) => name !== source.name && !name.startsWith(`${source.name}:`)))
+        saveRoutes({ ...routes, categories })
+    }
+
+    const setRoute = (name, target) => {
+        const categories = { ...routes.categories }
+        if (target === DEFAULT_PROFILE) delete categories[name]
+        else categories[name] = target
+        saveRoutes({ ...routes, categories })
+    }
+
+    // Имя источника — часть имени его категорий в маршрутах, поэтому оно уникально и не меняется
+    const addSource = (e) => {
+        e.preventDefault()
+        const name = newName.trim()
+        const builtinCategories = (storedRules[BUILTIN_SOURCE_ID]?.categories || []).map(c => c.name)
+        if (!isSourceNameFree(name, sources, builtinCategories)) {
+            setMessage({ error: true, text: t('errorSourceName') })
+            return
+        }
+        const source = {
+            id: crypto.randomUUID().slice(0, 8),
+            name,
+            format: newFormat,
+            urls: parseUrls(newUrls),
+            updateHours: DEFAULT_UPDATE_HOURS,
+            enabled: true,
+            ...(newFormat === 'geosite' && { categories: [] })
+        }
+        saveSources([...sources, source])
+        setNewName('')
+        setNewUrls('')
+        setMessage(null)
+    }
+
+    return (
+        <section className="config-section">
+            <h2>{t('ruleSourcesTitle')}</h2>
+            {sources.map(source => (
+                <SourceCard
+                    key={source.id}
+                    source={source}
+                    state={states[source.id]}
+                    parsed={storedRules[source.id]}
+                    routes={routes}
+                    profiles={profiles}
+                    onChange={(patch) => changeSource(source.id, patch)}
+                    onRemove={() => removeSource(source)}
+                    onRoute={setRoute}
+                    onMessage={setMessage}
+                />
+            ))}
+
+            <form onSubmit={addSource} className="source-card">
+                <div className="options-row">
+                    <input type="text" placeholder={t('sourceNamePlaceholder')} value={newName} onChange={(e) => setNewName(e.target.value)} />
+                    <select className="route-select" value={newFormat} onChange={(e) => setNewFormat(e.target.value)}>
+                        {Object.entries(SOURCE_FORMATS).map(([format, label]) => (
+                            <option key={format} value={format}>{t(label)}</option>
+                        ))}
+                    </select>
+                </div>
+                <textarea
+                    className="bulk-paste source-urls"
+                    placeholder={t('newSourceUrlsPlaceholder')}
+                    value={newUrls}
+                    onChange={(e) => setNewUrls(e.target.value)}
+                />
+                <div className="options-row">
+                    <button type="submit" className="btn-add">{t('addSource')}</button>
+                </div>
+            </form>
+
+            {message && (
+                <div className={`options-message ${message.error ? 'error' : ''}`}>{message.text}</div>
+            )}
+        </section>
+    )
+}
+
+export default RuleSources
@@ -0,0 +1,225 @@
+import { useState, useEffect, useMemo } from 'react'
+import { findRedundantSites } from './routing.js'
+import { withBuiltinSource, mergeSourceRules } from './rule-sources.js'
+import { parseRuleList } from './config-io.js'
+import { createShardedStorage, shardChanged, shardedBytes, SYNC_QUOTA_BYTES } from './sync-storage.js'
+import { getAllRules } from './rule-store.js'
+import { t, formatBytes } from './i18n.js'
+
+const syncStorage = createShardedStorage(chrome.storage.sync)
+
+// Доля квоты chrome.storage.sync, после которой показываем предупреждение
+const QUOTA_WARNING = 0.8
+
+const parseTags = text => [...new Set(text.split(/[\s,]+/).map(tag => tag.replace(/^#/, '')).filter(Boolean))]
+
+// Строка списка: заметка и теги редактируются локально и сохраняются при потере фокуса
+function SiteRow({ site, entry, coveredBy, checked, onToggle, onSaveNote, onRemove }) {
+    const [note, setNote] = useState(entry?.note || '')
+    const [tags, setTags] = useState((entry?.tags || []).join(', '))
+
+    useEffect(() => {
+        setNote(entry?.note || '')
+        setTags((entry?.tags || []).join(', '))
+    }, [entry])
+
+    const save = () => onSaveNote(site, { note: note.trim(), tags: parseTags(tags) })
+
+    return (
+        <div className="site-item site-row">
+            <input type="checkbox" checked={checked} onChange={() => onToggle(site)} />
+            <span className="site-name" title={site}>{site}</span>
+            {coveredBy && <span className="badge-redundant" title={t('alreadyInCategoryHint')}>{t('alreadyIn', coveredBy)}</span>}
+            <input type="text" className="site-note" placeholder={t('notePlaceholder')} value={note} onChange={(e) => setNote(e.target.value)} onBlur={save} />
+            <input type="text" className="site-tags" placeholder={t('tagsPlaceholder')} value={tags} onChange={(e) => setTags(e.target.value)} onBlur={save} />
+            <button onClick={() => onRemove([site])} className="btn-remove">×</button>
+        </div>
+    )
+}
+
+// Управление длинным списком дополнительных сайтов: поиск, сортировка, массовые операции, заметки
+function SiteManager() {
+    const [sites, setSites] = useState([])
+    const [notes, setNotes] = useState({}) // { site: { note, tags } }
+    const [routes, setRoutes] = useState({ categories: {}, sites: {} })
+    const [ruleSources, setRuleSources] = useState([])
+    const [storedRules, setStoredRules] = useState({}) // { id: { rules, categories } } из IndexedDB
+    const [filter, setFilter] = useState('')
+    const [sort, setSort] = useState('added')
+    const [selected, setSelected] = useState(new Set())
+    const [pasteText, setPasteText] = useState('')
+    const [message, setMessage] = useState(null) // { error, text }
+    const [bytesInUse, setBytesInUse] = useState(0)
+
+    const refreshUsage = () => chrome.storage.sync.getBytesInUse(null).then(setBytesInUse)
+
+    useEffect(() => {
+        const loadSync = () => syncStorage.get(['sites', 'siteNotes', 'routes', 'ruleSources']).then((result) => {
+            setSites(result.sites || [])
+            setNotes(result.siteNotes || {})
+            setRoutes({ categories: {}, sites: {}, ...result.routes })
+            setRuleSources(result.ruleSources || [])
+            refreshUsage()
+        })
+        loadSync()
+        const loadRules = () => getAllRules().then(setStoredRules)
+        loadRules()
+
+        const onChanged = (changes, area) => {
+            if (area === 'sync' && (shardChanged(changes, 'sites') || shardChanged(changes, 'siteNotes') || shardChanged(changes, 'routes') || changes.ruleSources)) loadSync()
+            if (area === 'local' && changes.rulesUpdatedAt) loadRules()
+        }
+        chrome.storage.onChanged.addListener(onChanged)
+        return () => chrome.storage.onChanged.removeListener(onChanged)
+    }, [])
+
+    // Сайты сверяются с правилами всех включённых источников
+    const redundant = useMemo(() => findRedundantSites({
+        geoRules: mergeSourceRules(withBuiltinSource(ruleSources), storedRules),
+        sites,
+        routes
+    }), [ruleSources, storedRules, sites, routes])
+
+    // Ошибка квоты не должна теряться: показываем её и перечитываем сохранённое состояние
+    const save = (items) => syncStorage.set(items)
+        .then(refreshUsage)
+        .catch((err) => {
+            setMessage({ error: true, text: t('saveFailed', err.message) })
+            syncStorage.get(['sites', 'siteNotes']).then((result) => {
+                setSites(result.sites || [])
+                setNotes(result.siteNotes || {})
+            })
+        })
+
+    const addPasted = (e) => {
+        e.preventDefault()
+        const parsed = parseRuleList(pasteText)
+        const added = parsed.sites.filter(s => !sites.includes(s))
+        const updated = [...sites, ...added]
+        setSites(updated)
+        save({ sites: updated })
+        setPasteText('')
+        setMessage({ error: false, text: t('pastedResult', added.length, parsed.sites.length - added.length, parsed.skipped) })
+    }
+
+    const removeSites = (toRemove) => {
+        const removing = new Set(toRemove)
+        const updated = sites.filter(s => !removing.has(s))
+        const updatedNotes = Object.fromEntries(Object.entries(notes).filter(([site]) => !removing.has(site)))
+        setSites(updated)
+        setNotes(updatedNotes)
+        setSelected(new Set([...selected].filter(s => !removing.has(s))))
+        save({ sites: updated, siteNotes: updatedNotes })
+
+        // Маршруты удалённых сайтов больше не нужны
+        const siteRoutes = Object.fromEntries(Object.entries(routes.sites).filter(([site]) => !removing.has(site)))
+        if (Object.keys(siteRoutes).length !== Object.keys(routes.sites).length) {
+            save({ routes: { ...routes, sites: siteRoutes } })
+        }
+    }
+
+    const removeSelected = () => {
+        if (confirm(t('confirmRemoveSelected', selected.size))) removeSites([...selected])
+    }
+
+    const saveNote = (site, { note, tags }) => {
+        const current = notes[site] || {}
+        if ((current.note || '') === note && (current.tags || []).join() === tags.join()) return
+        const updated = { ...notes }
+        if (note || tags.length) updated[site] = { ...(note && { note }), ...(tags.length && { tags }) }
+        else delete updated[site]
+        setNotes(updated)
+        save({ siteNotes: updated })
+    }
+
+    const toggleSelected = (site) => {
+        const updated = new Set(selected)
+        if (updated.has(site)) updated.delete(site)
+        else updated.add(site)
+        setSelected(updated)
+    }
+
+    // "#тег" ищет по тегу, остальное — по домену, заметке и тегам
+    const query = filter.trim().toLowerCase()
+    const visible = sites.filter((site) => {
+        if (!query) return true
+        const entry = notes[site] || {}
+        const tags = (entry.tags || []).map(tag => tag.toLowerCase())
+        if (query.startsWith('#')) return tags.includes(query.slice(1))
+        return site.includes(query) || (entry.note || '').toLowerCase().includes(query) || tags.some(tag => tag.includes(query))
+    })
+    if (sort === 'name') visible.sort((a, b) => a.localeCompare(b))
+    if (sort === 'redundant') visible.sort((a, b) => redundant.has(b) - redundant.has(a))
+
+    const listBytes = shardedBytes('sites', sites) + shardedBytes('siteNotes', notes)
+    const nearQuota = bytesInUse > SYNC_QUOTA_BYTES * QUOTA_WARNING
+
+    return (
+        <section className="config-section site-manager">
+            <h2>{t('extraSitesCount', sites.length)}</h2>
+
+            <div className="options-row">
+                <input
+                    type="text"
+                    className="category-search"
+                    placeholder={t('siteSearchPlaceholder')}
+                    value={filter}
+                    onChange={(e) => setFilter(e.target.value)}
+                />
+                <select className="route-select" value={sort} onChange={(e) => setSort(e.target.value)}>
+                    <option value="added">{t('sortAdded')}</option>
+                    <option value="name">{t('sortName')}</option>
+                    <option value="redundant">{t('sortRedundant')}</option>
+                </select>
+            </div>
+
+            <div className="options-row">
+                <button className="btn-secondary" onClick={() => setSelected(new Set(visible))}>{t('selectVisible')}</button>
+                <button className="btn-secondary" onClick={() => setSelected(new Set(redundant.keys()))} disabled={!redundant.size}>
+                    {t('selectRedundant', redundant.size)}
+                </button>
+                <button className="btn-secondary" onClick={() => setSelected(new Set())} disabled={!selected.size}>{t('clearSelection')}</button>
+                <button className="btn-add" onClick={removeSelected} disabled={!selected.size}>{t('removeSelected', selected.size)}</button>
+            </div>
+
+            <div className="site-manager-list">
+                {!visible.length && <div className="empty-hint">{sites.length ? t('nothingFound') : t('listEmpty')}</div>}
+                {visible.map(site => (
+                    <SiteRow
+                        key={site}
+                        site={site}
+                        entry={notes[site]}
+                        coveredBy={redundant.get(site)}
+                        checked={selected.has(site)}
+                        onToggle={toggleSelected}
+                        onSaveNote={saveNote}
+                        onRemove={removeSites}
+                    />
+                ))}
+            </div>
+
+            <form onSubmit={addPasted}>
+                <textarea
+                    className="bulk-paste"
+                    placeholder={t('pastePlaceholder')}
+                    value={pasteText}
+                    onChange={(e) => setPasteText(e.target.value)}
+                />
+                <div className="options-row">
+                    <button type="submit" className="btn-add" disabled={!pasteText.trim()}>{t('addAsList')}</button>
+                </div>
+            </form>
+
+            <div className={`options-hint ${nearQuota ? 'quota-warning' : ''}`}>
+                {t('syncUsage', formatBytes(listBytes), formatBytes(bytesInUse), formatBytes(SYNC_QUOTA_BYTES))}
+                {nearQuota && ` ${t('syncNearQuota')}`}
+            </div>
+
+            {message && (
+                <div className={`options-message ${message.error ? 'error' : ''}`}>{message.text}</div>
+            )}
+        </section>
+    )
+}
+
+export default SiteManager
@@ -0,0 +1,147 @@
+// Rules that switch the proxy on or off by time of day, by whether the proxy is
+// reachable, or by network (an internal host answering means the office network).
+// Kept free of chrome.* APIs; the service worker runs the probes and the alarm.
+
+// Rule kinds and the message keys of their names
+export const AUTO_RULE_TYPES = {
+    time: 'autoRuleTypeTime',
+    proxy: 'autoRuleTypeProxy',
+    network: 'autoRuleTypeNetwork'
+};
+
+export const DEFAULT_AUTO_ENABLE = { rules: [], checkMinutes: 5, overrideMinutes: 60 };
+
+// Days for time rules, Monday first: Date#getDay() and the message key of the short name
+export const WEEK_DAYS = [[1, 'dayMon'], [2, 'dayTue'], [3, 'dayWed'], [4, 'dayThu'], [5, 'dayFri'], [6, 'daySat'], [0, 'daySun']];
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// Nothing answered at that address: any response, even an error page or a broken one, means reachable
+const UNREACHABLE_ERROR = /^net::ERR_(CONNECTION_(REFUSED|TIMED_OUT|FAILED)|TIMED_OUT|ADDRESS_(UNREACHABLE|INVALID)|NAME_NOT_RESOLVED|NAME_RESOLUTION_FAILED|INTERNET_DISCONNECTED|NETWORK_CHANGED|NETWORK_ACCESS_DENIED)$/;
+
+export function isUnreachableError(error) {
+    return UNREACHABLE_ERROR.test(error || '');
+}
+
+/** "HH:MM" as minutes since midnight, or null. */
+export function parseTime(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(text || '').trim());
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function isHttpUrl(text) {
+    try {
+        return ['http:', 'https:'].includes(new URL(text).protocol);
+    } catch {
+        return false;
+    }
+}
+
+function normalizeRule(rule) {
+    if (!rule || !(rule.type in AUTO_RULE_TYPES)) return null;
+    const base = { id: String(rule.id || ''), type: rule.type, action: rule.action === 'off' ? 'off' : 'on' };
+    if (rule.type === 'time') {
+        if (parseTime(rule.from) === null || parseTime(rule.to) === null) return null;
+        const days = Array.isArray(rule.days) ? rule.days.filter(d => Number.isInteger(d) && d >= 0 && d <= 6) : [];
+        return { ...base, from: rule.from.trim(), to: rule.to.trim(), days };
+    }
+    if (rule.type === 'network' && !isHttpUrl(rule.url)) return null;
+    return { ...base, reachable: rule.reachable !== false, ...(rule.type === 'network' && { url: rule.url.trim() }) };
+}
+
+/**
+ * Stored settings with defaults filled in and invalid rules dropped:
+ * { rules, checkMinutes, overrideMinutes } where a rule is
+ *  - { id, type: 'time', days, from: 'HH:MM', to: 'HH:MM', action } (no days means every day);
+ *  - { id, type: 'proxy', reachable, action } for the primary proxy;
+ *  - { id, type: 'network', url, reachable, action }.
+ */
+export function normalizeAutoEnable(settings = {}) {
+    const result = { ...DEFAULT_AUTO_ENABLE };
+    if (Array.isArray(settings.rules)) result.rules = settings.rules.map(normalizeRule).filter(Boolean);
+    for (const key of ['checkMinutes', 'overrideMinutes']) {
+        const minutes = Number(settings[key]);
+        if (Number.isFinite(minutes) && minutes >= 1) result[key] = Math.round(minutes);
+    }
+    return result;
+}
+
+/**
+ * Whether a time rule covers `date`. A window ending before it starts runs
+ * overnight and belongs to the day it started on.
+ */
+export function inTimeWindow(rule, date) {
+    const from = parseTime(rule.from);
+    const to = parseTime(rule.to);
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    let day = date.getDay();
+    let inside;
+    if (from <= to) {
+        inside = minutes >= from && minutes < to;
+    } else {
+        inside = minutes >= from || minutes < to;
+        if (minutes < to) day = (day + 6) % 7;
+    }
+    return inside && (!rule.days.length || rule.days.includes(day));
+}
+
+/** Addresses the rules need probed: { proxy: bool, urls: [url] }. */
+export function probesNeeded(rules) {
+    return {
+        proxy: rules.some(r => r.type === 'proxy'),
+        urls: [...new Set(rules.filter(r => r.type === 'network').map(r => r.url))]
+    };
+}
+
+/**
+ * The first rule that holds decides: { enabled, rule }, or null to leave the
+ * switch as it is. `reachable` is { proxy, urls: { url: bool } } from the probes;
+ * a rule whose probe is missing doesn't hold.
+ */
+export function decideEnabled(rules, { now = new Date(), reachable = {} } = {}) {
+    const holds = (rule) => {
+        if (rule.type === 'time') return inTimeWindow(rule, now);
+        const result = rule.type === 'proxy' ? reachable.proxy : reachable.urls?.[rule.url];
+        return typeof result === 'boolean' && result === rule.reachable;
+    };
+    const rule = rules.find(holds);
+    return rule ? { enabled: rule.action === 'on', rule } : null;
+}
+
+/** When the next time rule starts or ends after `now` (a timestamp), or null. */
+export function nextTimeChange(rules, now = Date.now()) {
+    const midnight = new Date(now);
+    midnight.setHours(0, 0, 0, 0);
+    const times = [];
+    for (const rule of rules.filter(r => r.type === 'time')) {
+        for (const minutes of [parseTime(rule.from), parseTime(rule.to), ...(rule.days.length ? [0] : [])]) {
+            for (const day of [0, 1]) {
+                const at = new Date(midnight.getTime() + day * DAY_MS + 12 * 3600 * 1000);
+                at.setHours(0, minutes, 0, 0); // survives DST shifts unlike adding milliseconds
+                if (at.getTime() > now) times.push(at.getTime());
+            }
+        }
+    }
+    return times.length ? Math.min(...times) : null;
+}
+
+/**
+ * The rule in words, for the popup and the options page. `translate` is t() from
+ * i18n.js, or anything with its signature.
+ */
+export function describeAutoRule(rule, translate) {
+    const action = translate(rule.action === 'on' ? 'autoActionOn' : 'autoActionOff');
+    if (rule.type === 'time') {
+        const days = rule.days.length
+            ? WEEK_DAYS.filter(([d]) => rule.days.includes(d)).map(([, key]) => translate(key)).join(', ')
+            : translate('everyDay');
+        return `${days} ${rule.from}–${rule.to}: ${action}`;
+    }
+    if (rule.type === 'proxy') return translate(rule.reachable ? 'autoRuleProxyUp' : 'autoRuleProxyDown', action);
+    let host = rule.url;
+    try {
+        host = new URL(rule.url).host;
+    } catch { }
+    return translate(rule.reachable ? 'autoRuleHostUp' : 'autoRuleHostDown', host, action);
+}
@@ -1,37 +1,266 @@
-import { parseGeoSite } from './geosite-parser.js';
+import { DEFAULT_CATEGORIES } from './categories.js';
+import { buildPacScript, countRules, probeHostName } from './pac.js';
+import { findChallenger, buildProxyChain, parseProxyConfig } from './proxy-config.js';
+import { buildRuleGroups, collectProxies, parseExclusions, createRouteMatcher } from './routing.js';
+import { createShardedStorage, shardChanged } from './sync-storage.js';
+import { addLogEntry } from './request-log.js';
+import {
+    isBlockingError, normalizeDetectionSettings, normalizeDetected, isKnownHost,
+    addDetectedHost, resolveDetectedHost, pruneLearned, activeLearnedHosts
+} from './blocked-hosts.js';
+import { isHostName } from './domains.js';
+import { normalizeLeakProtection, describeLeakStatus, WEBRTC_POLICY } from './leak-protection.js';
+import {
+    normalizeAutoEnable, probesNeeded, decideEnabled, nextTimeChange, describeAutoRule, isUnreachableError
+} from './auto-enable.js';
+import {
+    BUILTIN_SOURCE_ID, withBuiltinSource, createSourceParser, isSourceDue, mergeSourceRules
+} from './rule-sources.js';
+import {
+    normalizeHealthSettings, recordCheck, isFailingOver, failoverConfig, isProxyError, proxyKey
+} from './health.js';
+import {
+    getAllRules, getRules, putRules, getFile, setFile, getDownload, putDownload, clearDownload,
+    deleteParts, deleteSource, readFile, createPartWriter, newFileId, getKey, putKey, getSnapshot, putSnapshot
+} from './rule-store.js';
+import {
+    splitCredentials, mergeCredentials, credentialHost, generateKey, deriveKey, randomSalt,
+    encryptJson, decryptJson, toBase64, fromBase64
+} from './credentials.js';
+import { initI18n, t, errorText } from './i18n.js';
+// Build-time default, without logins: vite.config.js leaves them out of the bundle
 const DEFAULT_PROXY_CONFIG = import.meta.env.VITE_PROXY_CONFIG;
 const GEOSITE_FILE = 'geosite.dat';
-const GEOSITE_URLS = [
-    'https://raw.githubusercontent.com/runetfreedom/russia-v2ray-rules-dat/release/geosite.dat',
-    'https://ghfast.top/https://raw.githubusercontent.com/runetfreedom/russia-v2ray-rules-dat/release/geosite.dat',
-    'https://raw.githubusercontents.com/runetfreedom/russia-v2ray-rules-dat/release/geosite.dat'
-];
-const UPDATE_ALARM_NAME = 'geosite-update';
-const UPDATE_INTERVAL_HOURS = 6;
-
-// Categories to extract from geosite.dat
-const TARGET_CATEGORIES = [
-    'MICROSOFT', 'OPENAI', 'YOUTUBE', 'GOOGLE', 'TELEGRAM',
-    'TWITTER', 'FACEBOOK', 'INSTAGRAM', 'LINKEDIN',
-    'TIKTOK', 'NETFLIX', 'SPOTIFY', 'APPLE', 'AMAZON',
-    'CATEGORY-VPN', 'CATEGORY-PROXY',
-    'RU-BLOCKED', 'RU' // Inspect 'RU' carefully, might be domestic sites. 'RU-BLOCKED' is definitely blocked.
-];
+const UPDATE_ALARM_NAME = 'rule-sources-update';
+// Alarm of versions that only updated geosite.dat, every 6 hours
+const LEGACY_ALARM_NAME = 'geosite-update';
+const UPDATE_CHECK_MINUTES = 60;
+// Timeout of each download request: geosite.dat weighs about 60 MB
+const FETCH_TIMEOUT_MS = 120000;
+const PROGRESS_INTERVAL_MS = 1000;
+const BADGE_FLASH_MS = 1500;
+const MENU_PROXY_LINK = 'proxy-link-domain';
+const MENU_DIRECT_LINK = 'direct-link-domain';
+// Must match the "commands" in manifest.json
+const COMMAND_TOGGLE_PROXY = 'toggle-proxy';
+const COMMAND_TOGGLE_SITE = 'toggle-current-site';
+const HEALTH_ALARM_NAME = 'proxy-health';
+const PROBE_TIMEOUT_MS = 10000;
+// webRequest events of a failed probe may arrive just after fetch() rejects
+const PROBE_EVENT_GRACE_MS = 200;
+// A proxy error in regular traffic triggers a check at most this often
+const ERROR_RECHECK_MS = 30000;
+// Auth challenges answered per request; one more means the proxy rejected the credentials
+const AUTH_ATTEMPTS_LIMIT = 1;
+// Requests tracked for auth loops; the oldest are forgotten first
+const AUTH_TRACKED_REQUESTS = 200;
+
+const LOG_SAVE_MS = 1000;
+const LEARNED_ALARM_NAME = 'learned-hosts-expiry';
+// Failed hosts are collected for a few seconds and retested together
+const RETEST_DELAY_MS = 3000;
+const RETEST_BATCH = 10;
+// A host is retested at most this often
+const RETEST_INTERVAL_MS = 3600 * 1000;
+const RETEST_TRACKED_HOSTS = 1000;
+const AUTO_ALARM_NAME = 'auto-enable';
+
+// Long site lists are spread over several sync keys
+const syncStorage = createShardedStorage(chrome.storage.sync);
+
+// Texts stored for the UI and the menus follow the language picked in the options
+let i18nReady = initI18n();
+
+// Health probes in flight: URL -> { error, auth } reported by webRequest
+const pendingProbes = new Map();
+// Proxy auth challenges answered per request id
+const authAttempts = new Map();
+let lastErrorCheck = 0;
+
+async function getSelectedCategories() {
+    const { geoCategories } = await chrome.storage.sync.get('geoCategories');
+    return geoCategories || DEFAULT_CATEGORIES;
+}
+
+async function getRuleSources() {
+    const { ruleSources } = await chrome.storage.sync.get('ruleSources');
+    return withBuiltinSource(ruleSources);
+}
+
+async function saveSourceState(id, patch) {
+    const { ruleSourceState = {} } = await chrome.storage.local.get('ruleSourceState');
+    await chrome.storage.local.set({ ruleSourceState: { ...ruleSourceState, [id]: { ...ruleSourceState[id], ...patch } } });
+}
+
+// Source updates run one at a time: they share storage keys, and one 60 MB download at a time is plenty
+let sourceQueue = Promise.resolve();
+
+function queueSourceTask(task) {
+    const run = sourceQueue.then(task);
+    sourceQueue = run.catch(() => { });
+    return run;
+}
+
+/**
+ * Save the parsed rules of a source to IndexedDB. The built-in source also
+ * publishes the popup's category list. rulesUpdatedAt tells the PAC script and
+ * open pages that the rules changed.
+ */
+async function saveParsedSource(source, { rules, categories }) {
+    const total = Object.values(rules).reduce((n, r) => n + countRules(r), 0);
+    console.log(`[Sources] ${source.name}: parsed ${total} unique rules from ${categories.length} categories`);
+    await putRules(source.id, { rules, categories });
+    if (source.id === BUILTIN_SOURCE_ID) {
+        await chrome.storage.local.set({ geoCategoryList: categories, geoReady: true });
+    }
+    await chrome.storage.local.set({ rulesUpdatedAt: Date.now() });
+}
+
+// Basic validation: a geosite.dat is never smaller than 1KB, and a list without
+// a single rule is a broken download (a geosite file may have nothing selected yet)
+function isUsable(source, size, parsed) {
+    if (source.format === 'geosite') return size >= 1024 && parsed.categories.length > 0;
+    return Object.keys(parsed.rules).length > 0;
+}
+
+// Categories whose rules are extracted: picked in the popup for the built-in source
+async function wantedCategories(source) {
+    return source.id === BUILTIN_SOURCE_ID ? getSelectedCategories() : source.categories;
+}
+
+async function sourceParser(source) {
+    return createSourceParser(source, await wantedCategories(source));
+}
+
+// The current rules and file of a source as a snapshot, or null before its first rules
+async function currentSnapshot(source) {
+    const [rules, file] = await Promise.all([getRules(source.id), getFile(source.id)]);
+    if (!rules) return null;
+    const { ruleSourceState = {} } = await chrome.storage.local.get('ruleSourceState');
+    const { lastUpdate = null, url = null, fileName = null } = ruleSourceState[source.id] || {};
+    return {
+        ...rules,
+        selected: await wantedCategories(source),
+        file: file ?? null,
+        state: { lastUpdate, url, fileName },
+        savedAt: Date.now()
+    };
+}
+
+/**
+ * Keep the current rules and file of a source as its snapshot before an update
+ * replaces them, dropping the older snapshot. Returns whether the snapshot took the file.
+ */
+async function keepSnapshot(source) {
+    const [snapshot, previous] = await Promise.all([currentSnapshot(source), getSnapshot(source.id)]);
+    if (!snapshot) return false;
+    if (previous?.file && previous.file.fileId !== snapshot.file?.fileId) await deleteParts(previous.file.fileId);
+    await putSnapshot(source.id, snapshot);
+    return true;
+}
+
+// Make a new file and its rules current; what they replace becomes the snapshot
+async function adoptFile(source, file, parsed) {
+    const kept = await keepSnapshot(source);
+    await setFile(source.id, file, { keepPrevious: kept });
+    await saveParsedSource(source, parsed);
+}
 
 /**
- * Parse geosite.dat buffer and save domains to storage.
+ * Swap the current rules and file of a source with its snapshot; doing it again
+ * returns to the update. The ETag of the newer file is kept, so the next check
+ * doesn't download the same file again and only a newer one replaces the rollback.
  */
-async function parseAndSaveDomains(buffer) {
-    // Basic validation: ensure buffer is not empty and has a reasonable minimum size (e.g., 1KB for geosite.dat)
-    if (!buffer || buffer.byteLength < 1024) {
-        console.error('[GeoSite] Validation failed: buffer is too small or empty');
-        return [];
+async function rollbackSource(source) {
+    const snapshot = await getSnapshot(source.id);
+    if (!snapshot) return false;
+    const current = await currentSnapshot(source);
+    if (!current) return false;
+    await putSnapshot(source.id, current);
+    await setFile(source.id, snapshot.file, { keepPrevious: true });
+
+    // Rules parsed for another category selection are extracted from the file again
+    if (JSON.stringify(snapshot.selected) === JSON.stringify(current.selected)) {
+        await saveParsedSource(source, snapshot);
+    } else {
+        await reparseSource(source);
+    }
+    await saveSourceState(source.id, {
+        ...snapshot.state,
+        rolledBack: (snapshot.state.lastUpdate ?? 0) < (current.state.lastUpdate ?? 0),
+        error: null
+    });
+    console.log(`[Sources] ${source.name}: rolled back to the version of ${new Date(snapshot.state.lastUpdate ?? snapshot.savedAt).toISOString()}`);
+    return true;
+}
+
+// Parse a file stored in IndexedDB part by part; null when it is unusable
+async function parseStoredFile(source, fileId) {
+    const parser = await sourceParser(source);
+    let size = 0;
+    await readFile(fileId, (part) => {
+        size += part.length;
+        parser.push(part);
+    });
+    const parsed = parser.finish();
+    return isUsable(source, size, parsed) ? parsed : null;
+}
+
+// Pass a response body to onChunk chunk by chunk, without collecting it
+async function readStream(body, onChunk) {
+    const reader = body.getReader();
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        await onChunk(value);
     }
-    const parsedSites = parseGeoSite(new Uint8Array(buffer), TARGET_CATEGORIES);
-    const allSites = [...new Set(parsedSites)];
-    console.log(`[GeoSite] Parsed ${allSites.length} unique domains`);
-    await chrome.storage.local.set({ geoSites: allSites, geoReady: true });
-    return allSites;
+}
+
+/**
+ * Re-extract rules after the category selection or the source settings changed.
+ * Uses the stored file; the built-in source falls back to the bundled file and a
+ * remote source without a stored copy is downloaded.
+ */
+async function reparseSource(source) {
+    try {
+        const file = await getFile(source.id);
+        if (file) {
+            const parsed = await parseStoredFile(source, file.fileId);
+            if (!parsed) return false;
+            await saveParsedSource(source, parsed);
+            console.log(`[Sources] ${source.name}: re-parsed stored file`);
+            return true;
+        }
+        if (source.id === BUILTIN_SOURCE_ID) {
+            await loadBundledGeosite();
+            return true;
+        }
+        if (source.urls?.length) await updateSource(source);
+    } catch (e) {
+        console.error(`[Sources] ${source.name}: re-parse failed:`, e);
+        await saveSourceState(source.id, { error: errorText(e) });
+    }
+    return false;
+}
+
+/**
+ * Make a file uploaded on the options page the source's file, if it parses.
+ * Its ETag is dropped, so the next check downloads the remote file again.
+ */
+async function adoptUploadedFile(source, { fileId, size, fileName }) {
+    try {
+        const parsed = await parseStoredFile(source, fileId);
+        if (parsed) {
+            await adoptFile(source, { fileId, size, fileName }, parsed);
+            await saveSourceState(source.id, { etag: null, lastUpdate: Date.now(), url: null, fileName, error: null, rolledBack: false });
+            return true;
+        }
+    } catch (e) {
+        console.error(`[Sources] ${source.name}: uploaded file failed to parse:`, e);
+    }
+    await deleteParts(fileId);
+    await saveSourceState(source.id, { error: t('errorFileCorrupt', fileName) });
+    return false;
 }
 
 /**
@@ -41,9 +270,18 @@ async function loadBundledGeosite() {
     try {
         const response = await fetch(chrome.runtime.getURL(GEOSITE_FILE));
         if (response.ok) {
-            const buffer = await response.arrayBuffer();
-            await parseAndSaveDomains(buffer);
-            console.log('[GeoSite] Loaded bundled geosite.dat');
+            const [builtin] = await getRuleSources();
+            const parser = await sourceParser(builtin);
+            let size = 0;
+            await readStream(response.body, (chunk) => {
+                size += chunk.length;
+                parser.push(chunk);
+            });
+            const parsed = parser.finish();
+            if (isUsable(builtin, size, parsed)) {
+                await saveParsedSource(builtin, parsed);
+                console.log('[GeoSite] Loaded bundled geosite.dat');
+            }
         } else {
             console.log('[GeoSite] Bundled file not found, will download from remote');
         }
@@ -52,198 +290,371 @@ async function loadBundledGeosite() {
     }
 }
 
+// Download progress for the popup, written at most once per PROGRESS_INTERVAL_MS; the popup formats the sizes
+function reportProgress(receivedBytes, totalBytes) {
+    const percent = Math.round((receivedBytes / totalBytes) * 100);
+    chrome.storage.local.set({
+        downloadProgress: {
+            status: 'downloading',
+            percent: percent > 100 ? 100 : percent,
+            received: receivedBytes,
+            total: totalBytes
+        }
+    });
+}
+
+// Start offset and total size from "Content-Range: bytes 1048576-61234567/61234568"
+function parseContentRange(response) {
+    const match = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(response.headers.get('Content-Range') || '');
+    return match ? { start: Number(match[1]), total: match[2] === '*' ? null : Number(match[2]) } : null;
+}
+
 /**
- * Check for geosite.dat updates using ETag (If-None-Match).
- * Downloads only if the file has changed since last check.
+ * Check a source for updates using ETag (If-None-Match), trying its URLs in order.
+ * Downloads only if the file has changed since last check. The file is parsed as it
+ * arrives and stored in IndexedDB part by part; an interrupted download continues
+ * from the stored parts with an HTTP Range request. A broken file keeps the previous rules.
  */
-async function checkAndUpdateGeosite() {
+async function updateSource(source) {
+    const checkedAt = Date.now();
     try {
-        const { geositeEtag } = await chrome.storage.local.get('geositeEtag');
+        const { ruleSourceState = {} } = await chrome.storage.local.get('ruleSourceState');
+        const { etag } = ruleSourceState[source.id] || {};
+        const file = await getFile(source.id);
 
-        const headers = {};
-        if (geositeEtag) {
-            headers['If-None-Match'] = geositeEtag;
+        // An interrupted download can only continue from the URL it started on
+        let download = await getDownload(source.id);
+        if (download && !source.urls.includes(download.url)) {
+            await clearDownload(source.id);
+            download = null;
         }
+        const urls = download ? [download.url, ...source.urls.filter(u => u !== download.url)] : source.urls;
 
         let response = null;
-        let success = false;
+        let usedUrl = null;
+        let resumed = null;
+
+        for (const url of urls) {
+            const headers = {};
+            const resuming = download?.url === url;
+            if (resuming) {
+                headers['Range'] = `bytes=${download.received}-`;
+                if (download.etag) headers['If-Range'] = download.etag;
+            } else if (etag && file) {
+                // Without a stored copy a 304 would leave nothing to parse
+                headers['If-None-Match'] = etag;
+            }
 
-        for (const url of GEOSITE_URLS) {
             try {
-                // Добавляем таймаут 2 минуты (120000 мс) на каждый запрос, т.к. файл весит 61 МБ
+                // Добавляем таймаут 2 минуты (120000 мс) на каждый запрос, т.к. geosite.dat весит 61 МБ
                 const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), 120000);
+                const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
 
-                response = await fetch(url, { headers, cache: 'no-cache', signal: controller.signal });
+                const result = await fetch(url, { headers, cache: 'no-cache', signal: controller.signal });
                 clearTimeout(timeoutId);
 
-                if (response.status === 304) {
-                    console.log('[GeoSite] File not modified (304), skipping update');
+                if (result.status === 304) {
+                    console.log(`[Sources] ${source.name}: not modified (304), skipping update`);
+                    await saveSourceState(source.id, { lastCheck: checkedAt, error: null });
                     return;
                 }
 
-                if (response.ok) {
-                    success = true;
-                    console.log(`[GeoSite] Successfully fetched from: ${url}`);
-                    break;
-                } else {
-                    console.warn(`[GeoSite] Bad status from ${url}:`, response.status);
+                const range = result.status === 206 ? parseContentRange(result) : null;
+                if (resuming && range?.start === download.received) {
+                    resumed = range;
+                } else if (result.status === 206 || !result.ok) {
+                    console.warn(`[Sources] ${source.name}: bad status from ${url}:`, result.status);
+                    continue;
                 }
+                response = result;
+                usedUrl = url;
+                console.log(`[Sources] ${source.name}: fetched from ${url}${resumed ? `, resuming at ${download.received} bytes` : ''}`);
+                break;
             } catch (err) {
-                console.warn(`[GeoSite] Failed to fetch from ${url}:`, err.message);
+                console.warn(`[Sources] ${source.name}: failed to fetch from ${url}:`, err.message);
             }
         }
 
-        if (success && response) {
-            // Читаем как поток (stream), чтобы понимать прогресс загрузки
-            const contentLength = response.headers.get('Content-Length');
-            const totalBytes = contentLength ? parseInt(contentLength, 10) : 60000000; // Примерно 60МБ, если нет заголовка
-
-            const reader = response.body.getReader();
-            let receivedBytes = 0;
-            const chunks = [];
-
-            while (true) {
-                const { done, value } = await reader.read();
-                if (done) break;
-
-                chunks.push(value);
-                receivedBytes += value.byteLength;
-
-                const percent = Math.round((receivedBytes / totalBytes) * 100);
-
-                // Обновляем прогресс в хранилище (не чаще раза в секунду, но достаточно часто)
-                await chrome.storage.local.set({
-                    downloadProgress: {
-                        status: 'downloading',
-                        percent: percent > 100 ? 100 : percent,
-                        downloadedMb: (receivedBytes / 1024 / 1024).toFixed(1),
-                        totalMb: (totalBytes / 1024 / 1024).toFixed(1)
-                    }
-                });
-            }
+        if (!response) {
+            console.warn(`[Sources] ${source.name}: all remote fetch attempts failed`);
+            await saveSourceState(source.id, { lastCheck: checkedAt, error: t('errorNoMirror') });
+            await chrome.storage.local.set({ downloadProgress: { status: 'error' } });
+            return;
+        }
 
-            // Объединяем чанки в один ArrayBuffer
-            const totalBuffer = new Uint8Array(receivedBytes);
-            let position = 0;
-            for (const chunk of chunks) {
-                totalBuffer.set(chunk, position);
-                position += chunk.byteLength;
-            }
+        // The server ignored the Range request or the file changed since: start over
+        if (download && !resumed) {
+            await clearDownload(source.id);
+            download = null;
+        }
+        const contentLength = Number(response.headers.get('Content-Length')) || 0;
+        download ??= { fileId: newFileId(source.id), url: usedUrl, etag: response.headers.get('ETag'), received: 0, parts: 0 };
+        download.total = resumed?.total || (contentLength ? download.received + contentLength : null);
+        await putDownload(source.id, download);
 
-            await parseAndSaveDomains(totalBuffer.buffer);
+        // Parse what an earlier attempt stored before taking new bytes
+        const parser = await sourceParser(source);
+        if (resumed) await readFile(download.fileId, part => parser.push(part));
 
-            // Save ETag for next check
-            const newEtag = response.headers.get('ETag');
-            if (newEtag) {
-                await chrome.storage.local.set({ geositeEtag: newEtag });
-            }
+        const writer = createPartWriter(download.fileId, download.parts, download.received);
+        const totalBytes = download.total || 60000000; // Примерно 60МБ, если нет заголовка
+        let receivedBytes = download.received;
+        let progressAt = 0;
+        let parseError = null;
 
-            // Save timestamp of last successful update
-            await chrome.storage.local.set({ geositeLastUpdate: Date.now() });
+        try {
+            await readStream(response.body, async (chunk) => {
+                try {
+                    parser.push(chunk);
+                } catch (e) {
+                    parseError = e;
+                    throw e;
+                }
+                receivedBytes += chunk.length;
+                // Each stored part is a point the download can continue from
+                if (await writer.write(chunk)) {
+                    await putDownload(source.id, { ...download, received: writer.stored, parts: writer.parts });
+                }
+                if (Date.now() - progressAt >= PROGRESS_INTERVAL_MS) {
+                    progressAt = Date.now();
+                    reportProgress(receivedBytes, totalBytes);
+                }
+            });
+            await writer.flush();
+        } catch (e) {
+            if (parseError) throw e;
+            // Keep the stored parts: the next check continues from them
+            console.warn(`[Sources] ${source.name}: download interrupted at ${writer.stored} bytes:`, e.message);
+            await saveSourceState(source.id, { error: t('errorDownloadInterrupted', e.message) });
+            await chrome.storage.local.set({ downloadProgress: { status: 'error' } });
+            return;
+        }
 
-            console.log('[GeoSite] Updated from remote, new ETag:', newEtag);
-            await chrome.storage.local.set({ downloadProgress: null }); // Очищаем статус успешной загрузки
-        } else {
-            console.warn('[GeoSite] All remote fetch attempts failed');
+        const parsed = parser.finish();
+        if (!isUsable(source, writer.stored, parsed)) {
+            await clearDownload(source.id);
+            await saveSourceState(source.id, { lastCheck: checkedAt, error: t('errorDownloadedCorrupt') });
             await chrome.storage.local.set({ downloadProgress: { status: 'error' } });
+            return;
         }
+
+        await adoptFile(source, { fileId: download.fileId, size: writer.stored }, parsed);
+        await clearDownload(source.id, { keepParts: true });
+
+        // Save ETag for next check and the time of the last successful update
+        await saveSourceState(source.id, {
+            etag: download.etag, lastCheck: checkedAt, lastUpdate: Date.now(), url: usedUrl, fileName: null, error: null, rolledBack: false
+        });
+
+        console.log(`[Sources] ${source.name}: updated from remote, new ETag:`, download.etag);
+        await chrome.storage.local.set({ downloadProgress: null }); // Очищаем статус успешной загрузки
     } catch (e) {
-        console.error('[GeoSite] Update check failed:', e);
+        console.error(`[Sources] ${source.name}: update check failed:`, e);
+        await clearDownload(source.id).catch(() => { });
+        await saveSourceState(source.id, { lastCheck: checkedAt, error: errorText(e) });
         await chrome.storage.local.set({ downloadProgress: { status: 'error' } });
     }
 }
 
 /**
- * Ensure periodic alarm is set for geosite updates.
+ * Update every source whose interval has passed or whose download was interrupted,
+ * or every enabled remote source with force.
+ */
+async function checkRuleSources({ force = false } = {}) {
+    const sources = await getRuleSources();
+    const { ruleSourceState = {} } = await chrome.storage.local.get('ruleSourceState');
+    for (const source of sources) {
+        const remote = source.enabled !== false && source.urls?.length > 0;
+        const due = force
+            ? remote
+            : isSourceDue(source, ruleSourceState[source.id]) || (remote && Boolean(await getDownload(source.id)));
+        if (due) await queueSourceTask(() => updateSource(source));
+    }
+}
+
+/**
+ * Apply edits from the options page: parse changed sources again and drop
+ * the data of removed ones. Enabling or disabling only changes the merge.
+ */
+async function applySourceChanges(oldSources, newSources) {
+    const before = new Map(withBuiltinSource(oldSources).map(s => [s.id, s]));
+    const after = withBuiltinSource(newSources);
+
+    for (const source of after) {
+        const old = before.get(source.id);
+        const changed = !old || old.format !== source.format || old.name !== source.name
+            || JSON.stringify(old.categories) !== JSON.stringify(source.categories)
+            || JSON.stringify(old.urls) !== JSON.stringify(source.urls);
+        if (changed && source.enabled !== false) await queueSourceTask(() => reparseSource(source));
+    }
+
+    const removed = [...before.keys()].filter(id => !after.some(s => s.id === id));
+    if (removed.length) {
+        const { ruleSourceState = {} } = await chrome.storage.local.get('ruleSourceState');
+        for (const id of removed) {
+            await deleteSource(id);
+            delete ruleSourceState[id];
+        }
+        await chrome.storage.local.set({ ruleSourceState, rulesUpdatedAt: Date.now() });
+    }
+}
+
+/**
+ * Ensure the periodic alarm is set. It fires hourly; each source is
+ * updated once its own interval has passed.
  */
 async function ensureUpdateAlarm() {
+    await chrome.alarms.clear(LEGACY_ALARM_NAME);
     const existing = await chrome.alarms.get(UPDATE_ALARM_NAME);
     if (!existing) {
         chrome.alarms.create(UPDATE_ALARM_NAME, {
             delayInMinutes: 1, // first check 1 min after startup
-            periodInMinutes: UPDATE_INTERVAL_HOURS * 60 // then every 6 hours
+            periodInMinutes: UPDATE_CHECK_MINUTES
         });
-        console.log(`[GeoSite] Alarm set: every ${UPDATE_INTERVAL_HOURS}h`);
+        console.log(`[Sources] Alarm set: every ${UPDATE_CHECK_MINUTES} min`);
     }
 }
 
 // --- Extension lifecycle ---
 
 chrome.runtime.onInstalled.addListener(async (details) => {
+    createContextMenus();
+
     if (details.reason === "update") {
-        chrome.storage.local.get(['proxyConfig'], (result) => {
-            if (result.proxyConfig === DEFAULT_PROXY_CONFIG) {
-                chrome.storage.local.remove('proxyConfig');
-            }
-        });
+        // A list still on the build default follows the default of the new build; the stored
+        // copy has its login taken out, so the marker tells it apart (plain comparison for
+        // versions that stored it as is)
+        const { proxyConfig, proxyConfigIsDefault } = await chrome.storage.local.get(['proxyConfig', 'proxyConfigIsDefault']);
+        if (proxyConfigIsDefault || proxyConfig === DEFAULT_PROXY_CONFIG) {
+            await chrome.storage.local.remove('proxyConfig');
+        }
+        // Domain list from versions that kept only untyped domains
+        await chrome.storage.local.remove('geoSites');
+
+        // Rules and raw files now live in IndexedDB
+        await chrome.storage.local.remove(['geoRules', 'sourceRules']);
+        await caches.delete('geosite');
+
+        // Update state of geosite.dat from versions with a single source
+        const { geositeEtag, geositeLastUpdate } = await chrome.storage.local.get(['geositeEtag', 'geositeLastUpdate']);
+        if (geositeEtag || geositeLastUpdate) {
+            await saveSourceState(BUILTIN_SOURCE_ID, { etag: geositeEtag, lastCheck: geositeLastUpdate, lastUpdate: geositeLastUpdate });
+            await chrome.storage.local.remove(['geositeEtag', 'geositeLastUpdate']);
+        }
     }
 
+    // Logins stored in plain text by earlier versions get encrypted
+    const { proxyConfig, proxyConfigIsDefault } = await chrome.storage.local.get(['proxyConfig', 'proxyConfigIsDefault']);
+    const saved = await saveProxySettings(
+        { proxyConfig: proxyConfig ?? DEFAULT_PROXY_CONFIG ?? '' },
+        { isDefault: proxyConfig === undefined || Boolean(proxyConfigIsDefault) }
+    );
+    if (saved.error) console.warn('[Credentials] Not stored:', saved.error);
+
     // Load bundled geosite.dat as immediate fallback
     await loadBundledGeosite();
 
-    chrome.storage.local.set({ isEnabled: false });
+    // A fresh install starts switched off; an update keeps the switch and any manual
+    // override, and the rules decide from there
+    if (details.reason === 'install') await chrome.storage.local.set({ isEnabled: false });
+    evaluateAutoEnable();
 
     // Set up periodic update alarm
     await ensureUpdateAlarm();
 
-    // Immediately try to fetch fresh version from remote
-    checkAndUpdateGeosite();
+    // Immediately try to fetch fresh versions from remote
+    checkRuleSources({ force: true });
 });
 
 // On service worker startup (browser restart, wake-up), ensure alarm exists
 chrome.runtime.onStartup.addListener(async () => {
     await ensureUpdateAlarm();
+    // Continue downloads the previous session left unfinished
+    checkRuleSources();
+    evaluateAutoEnable();
 });
 
 // Handle periodic alarm
 chrome.alarms.onAlarm.addListener((alarm) => {
     if (alarm.name === UPDATE_ALARM_NAME) {
-        console.log('[GeoSite] Alarm fired, checking for updates...');
-        checkAndUpdateGeosite();
+        console.log('[Sources] Alarm fired, checking for updates...');
+        checkRuleSources();
+    }
+    if (alarm.name === HEALTH_ALARM_NAME) {
+        checkProxyHealth();
+    }
+    if (alarm.name === LEARNED_ALARM_NAME) {
+        expireLearnedHosts();
+    }
+    if (alarm.name === AUTO_ALARM_NAME) {
+        evaluateAutoEnable();
     }
 });
 
-// --- Proxy logic (unchanged) ---
+// --- Proxy logic ---
 
-function parseProxyConfig(configString) {
-    if (!configString) return null;
-    const parts = configString.split(':');
-    if (parts.length < 2) return null;
-    return {
-        host: parts[0],
-        port: parts[1],
-        user: parts[2] || '',
-        pass: parts[3] || ''
-    };
+// Route matcher for the current settings, rebuilt together with the PAC script:
+// Promise<{ isEnabled, match, directFallback }>, see createRouteMatcher
+let currentRouting = null;
+
+// Used when the settings can't be applied: every host is reported as going direct
+const FALLBACK_ROUTING = { isEnabled: false, match: createRouteMatcher([]), directFallback: true };
+
+function updateProxy() {
+    currentRouting = applyProxySettings().catch((e) => {
+        console.error('[Proxy] Failed to apply proxy settings:', e);
+        return FALLBACK_ROUTING;
+    });
+    currentRouting.then(() => {
+        refreshAllBadges();
+        // Let an open popup re-read the route of its tab; nobody listening is fine
+        chrome.runtime.sendMessage({ type: 'routingUpdated' }).catch(() => { });
+    });
+    return currentRouting;
 }
 
-async function updateProxy() {
-    const { isEnabled, geoSites, proxyConfig } = await chrome.storage.local.get(['isEnabled', 'geoSites', 'proxyConfig']);
-    const { sites } = await chrome.storage.sync.get(['sites']);
-    const config = parseProxyConfig(proxyConfig || DEFAULT_PROXY_CONFIG);
-    const allSites = [...(geoSites || []), ...(sites || [])];
+async function applyProxySettings() {
+    const { isEnabled, proxyConfig, proxyProfiles, healthCheck, proxyHealth, detectedHosts, leakProtection } = await chrome.storage.local.get([
+        'isEnabled', 'proxyConfig', 'proxyProfiles', 'healthCheck', 'proxyHealth', 'detectedHosts', 'leakProtection'
+    ]);
+    const { sites, routes, directSites, bypassLocal } = await syncStorage.get(['sites', 'routes', 'directSites', 'bypassLocal']);
+    const config = proxyConfig || '';
+    const primary = parseProxyConfig(config)[0];
+    const health = normalizeHealthSettings(healthCheck);
+    const leaks = normalizeLeakProtection(leakProtection);
 
-    if (!isEnabled || !allSites.length || !config) {
-        chrome.proxy.settings.clear({ scope: 'regular' });
-        return;
-    }
+    // While the primary proxy fails its checks, the main rules use the fallbacks or go DIRECT
+    const failingOver = isFailingOver(proxyHealth, health, proxyKey(primary));
+    const groups = buildRuleGroups({
+        geoRules: mergeSourceRules(await getRuleSources(), await getAllRules()),
+        sites,
+        routes,
+        proxyConfig: failingOver ? failoverConfig(config, health.failover) : config,
+        profiles: proxyProfiles,
+        learned: activeLearnedHosts(detectedHosts)
+    });
 
-    // Sanitize host and port to prevent PAC script injection
-    const safeHost = config.host.replace(/[^a-zA-Z0-9\.-]/g, '');
-    const safePort = config.port.replace(/[^0-9]/g, '');
+    // Never-proxy list wins over geosite rules and manual sites; local bypass is on unless turned off
+    const exclusions = parseExclusions(directSites, bypassLocal !== false);
+    // With DNS protection a proxied host never falls back to DIRECT, where it would be resolved locally
+    const routing = { isEnabled: Boolean(isEnabled), match: createRouteMatcher(groups, exclusions), directFallback: !leaks.dns };
+    await applyLeakProtection({
+        isEnabled,
+        settings: leaks,
+        proxies: groups.flatMap(g => g.proxies),
+        directFailover: failingOver && health.failover === 'direct'
+    });
 
-    const pacScript = `
-    function FindProxyForURL(url, host) {
-      const sites = ${JSON.stringify(allSites)};
-      for (const site of sites) {
-        if (dnsDomainIs(host, site) || host.endsWith('.' + site)) {
-          return "PROXY ${safeHost}:${safePort}";
-        }
-      }
-      return "DIRECT";
+    // The health check URL and hosts being retested always go through the primary proxy, failing over or not
+    const probe = primary ? { hosts: [new URL(health.url).hostname, ...retestingHosts], proxies: [primary] } : null;
+
+    // Nothing to send through a proxy: DIRECT-only groups don't need a PAC script
+    if (!isEnabled || (!probe && !groups.some(g => g.proxies.length))) {
+        await chrome.proxy.settings.clear({ scope: 'regular' });
+        return routing;
     }
-  `;
+
+    const pacScript = buildPacScript(groups, exclusions, probe, { directFallback: routing.directFallback });
 
     const proxySettings = {
         mode: "pac_script",
@@ -252,47 +663,889 @@ async function updateProxy() {
         }
     };
 
-    chrome.proxy.settings.set({ value: proxySettings, scope: 'regular' });
+    // Probes wait for the new script, so let it be in place before resolving
+    await chrome.proxy.settings.set({ value: proxySettings, scope: 'regular' });
+    return routing;
+}
+
+// --- Per-tab route indicator ---
+
+/**
+ * How the current settings route a tab URL: { host, isEnabled, proxied, target, chain, rule }
+ * (see createRouteMatcher), or null for non-web URLs such as chrome://.
+ */
+async function explainUrl(url) {
+    let host;
+    try {
+        const parsed = new URL(url);
+        if (!/^(https?|wss?):$/.test(parsed.protocol)) return null;
+        host = parsed.hostname;
+    } catch {
+        return null;
+    }
+    const { isEnabled, match, directFallback } = await currentRouting;
+    const { proxies, target, rule } = match(host);
+    return { host, isEnabled, proxied: proxies.length > 0, target, chain: buildProxyChain(proxies, { direct: directFallback || !proxies.length }), rule };
 }
 
-let cachedConfig = null;
+// Tabs showing action feedback; their route badge is restored when it ends
+const flashingTabs = new Map();
 
-async function refreshCachedConfig() {
-    const { proxyConfig } = await chrome.storage.local.get(['proxyConfig']);
-    cachedConfig = parseProxyConfig(proxyConfig || DEFAULT_PROXY_CONFIG);
+async function updateBadge(tabId, url) {
+    if (flashingTabs.has(tabId)) return;
+    const route = url ? await explainUrl(url) : null;
+    const proxied = Boolean(route && route.isEnabled && route.proxied);
+    await chrome.action.setBadgeText({ tabId, text: proxied ? 'PRX' : '' });
+    if (proxied) {
+        await chrome.action.setBadgeBackgroundColor({ tabId, color: '#22c55e' });
+    }
+    const way = t(proxied ? 'badgeProxied' : 'badgeDirect');
+    await chrome.action.setTitle({
+        tabId,
+        title: !route ? t('extName') : route.rule ? t('badgeTitleRule', way, route.rule.name) : t('badgeTitle', way)
+    });
 }
 
-// Первоначальный запуск и обновление кеша при изменениях
-refreshCachedConfig();
+/**
+ * Briefly show the result of a shortcut or context-menu action on the tab's badge,
+ * then go back to its route badge.
+ */
+async function flashBadge(tabId, text, color) {
+    if (tabId === undefined || tabId < 0) return;
+    clearTimeout(flashingTabs.get(tabId));
+    flashingTabs.set(tabId, setTimeout(async () => {
+        flashingTabs.delete(tabId);
+        const tab = await chrome.tabs.get(tabId).catch(() => null);
+        if (tab) updateBadge(tabId, tab.url).catch(() => { });
+    }, BADGE_FLASH_MS));
+    await chrome.action.setBadgeText({ tabId, text });
+    await chrome.action.setBadgeBackgroundColor({ tabId, color });
+}
+
+async function refreshAllBadges() {
+    const tabs = await chrome.tabs.query({});
+    for (const tab of tabs) {
+        updateBadge(tab.id, tab.url).catch(() => { });
+    }
+}
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+    if (changeInfo.url || changeInfo.status === 'loading') {
+        updateBadge(tabId, tab.url).catch(() => { });
+    }
+});
+
+chrome.tabs.onActivated.addListener(async ({ tabId }) => {
+    const tab = await chrome.tabs.get(tabId);
+    updateBadge(tabId, tab.url).catch(() => { });
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === 'getRoute') {
+        explainUrl(message.url).then(sendResponse, () => sendResponse(null));
+        return true; // keep the channel open for the async response
+    }
+    // "Update now" on the options page
+    if (message.type === 'updateRuleSource') {
+        getRuleSources()
+            .then(sources => sources.find(s => s.id === message.id))
+            .then(source => source && queueSourceTask(() => updateSource(source)))
+            .then(() => sendResponse(true), () => sendResponse(false));
+        return true;
+    }
+    // Database panel of the popup
+    if (message.type === 'rollbackRuleSource') {
+        getRuleSources()
+            .then(sources => sources.find(s => s.id === message.id))
+            .then(source => source && queueSourceTask(() => rollbackSource(source)))
+            .then(ok => sendResponse(Boolean(ok)), () => sendResponse(false));
+        return true;
+    }
+    // Request log tab of the popup
+    if (message.type === 'clearRequestLog') {
+        clearRequestLog(message.tabId).then(() => sendResponse(true), () => sendResponse(false));
+        return true;
+    }
+    // Proxy lists typed in the popup or imported; logins are encrypted on the way
+    if (message.type === 'saveProxySettings') {
+        saveProxySettings(message.settings).then(sendResponse, e => sendResponse({ error: errorText(e) }));
+        return true;
+    }
+    if (message.type === 'getCredentialStatus') {
+        credentialStatus().then(sendResponse, () => sendResponse(null));
+        return true;
+    }
+    if (message.type === 'setCredentialPassphrase') {
+        setCredentialPassphrase(message.passphrase).then(sendResponse, e => sendResponse({ error: errorText(e) }));
+        return true;
+    }
+    if (message.type === 'unlockCredentials') {
+        unlockCredentials(message.passphrase).then(sendResponse, e => sendResponse({ error: errorText(e) }));
+        return true;
+    }
+    if (message.type === 'forgetCredentials') {
+        forgetCredentials().then(sendResponse, e => sendResponse({ error: errorText(e) }));
+        return true;
+    }
+    // Switch in the popup
+    if (message.type === 'setEnabled') {
+        setEnabledManually(message.enabled).then(() => sendResponse(true), () => sendResponse(false));
+        return true;
+    }
+    // Suggested and learned hosts in the popup
+    if (message.type === 'reviewDetectedHost') {
+        reviewDetectedHost(message.host, message.approve).then(() => sendResponse(true), () => sendResponse(false));
+        return true;
+    }
+    // "Check" button in the popup
+    if (message.type === 'checkProxyHealth') {
+        checkProxyHealth().then(() => sendResponse(true), () => sendResponse(false));
+        return true;
+    }
+    // The options page stored an uploaded file in IndexedDB
+    if (message.type === 'uploadRuleSource') {
+        getRuleSources()
+            .then(sources => sources.find(s => s.id === message.id))
+            .then(source => source && queueSourceTask(() => adoptUploadedFile(source, message.file)))
+            .then(ok => sendResponse(Boolean(ok)), () => sendResponse(false));
+        return true;
+    }
+});
+
+// --- Request log ---
+
+// Per-tab logs kept in memory and saved to chrome.storage.session, which outlives
+// the service worker but not the browser session: tabId -> entries (see addLogEntry)
+const requestLogs = new Map();
+const unsavedLogs = new Set();
+let logSaveTimer = null;
+
+const requestLogKey = tabId => `requestLog.${tabId}`;
+
+// Pick up a log saved before the service worker was stopped
+async function loadRequestLog(tabId) {
+    if (requestLogs.has(tabId)) return;
+    const { [requestLogKey(tabId)]: saved = [] } = await chrome.storage.session.get(requestLogKey(tabId));
+    if (!requestLogs.has(tabId)) requestLogs.set(tabId, saved);
+}
+
+// Logs are written at most once per LOG_SAVE_MS, a page load makes hundreds of requests
+function saveRequestLog(tabId) {
+    unsavedLogs.add(tabId);
+    if (logSaveTimer) return;
+    logSaveTimer = setTimeout(() => {
+        logSaveTimer = null;
+        const items = Object.fromEntries([...unsavedLogs].map(id => [requestLogKey(id), requestLogs.get(id) || []]));
+        unsavedLogs.clear();
+        chrome.storage.session.set(items);
+    }, LOG_SAVE_MS);
+}
+
+async function clearRequestLog(tabId) {
+    requestLogs.set(tabId, []);
+    unsavedLogs.delete(tabId);
+    await chrome.storage.session.remove(requestLogKey(tabId));
+}
+
+// Log a finished or failed request of a tab with the route the current settings give its host
+async function logRequest(details, error = null) {
+    if (details.tabId < 0) return;
+    let host;
+    try {
+        const url = new URL(details.url);
+        if (!/^(https?|wss?):$/.test(url.protocol)) return;
+        host = url.hostname;
+    } catch {
+        return;
+    }
+    const { isEnabled, match, directFallback } = await currentRouting;
+    const { proxies, target, rule } = match(host);
+    const proxied = isEnabled && proxies.length > 0;
+    await loadRequestLog(details.tabId);
+    // Read after the last await, so concurrent requests don't overwrite each other
+    requestLogs.set(details.tabId, addLogEntry(requestLogs.get(details.tabId), {
+        host,
+        at: details.timeStamp,
+        proxied,
+        target: proxied ? target : null,
+        rule: rule && { kind: rule.kind, name: rule.name },
+        chain: proxied ? buildProxyChain(proxies, { direct: directFallback }) : null,
+        error,
+        statusCode: details.statusCode ?? null
+    }));
+    saveRequestLog(details.tabId);
+}
+
+// A new page in the tab starts a new log
+chrome.webRequest.onBeforeRequest.addListener(
+    (details) => {
+        if (details.frameId === 0) clearRequestLog(details.tabId);
+    },
+    { urls: ["<all_urls>"], types: ["main_frame"] }
+);
+
+chrome.webRequest.onCompleted.addListener(
+    (details) => {
+        logRequest(details);
+    },
+    { urls: ["<all_urls>"] }
+);
+
+chrome.webRequest.onErrorOccurred.addListener(
+    (details) => {
+        // Cancelled by the page or the user, not a network failure
+        if (details.error !== 'net::ERR_ABORTED') logRequest(details, details.error);
+    },
+    { urls: ["<all_urls>"] }
+);
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+    requestLogs.delete(tabId);
+    unsavedLogs.delete(tabId);
+    chrome.storage.session.remove(requestLogKey(tabId));
+});
+
+// --- Keyboard shortcuts and context menu ---
+
+// Add an entry to one of the synced lists, taking it off the opposite one so it takes effect
+async function moveToList(key, entry) {
+    const opposite = key === 'sites' ? 'directSites' : 'sites';
+    const lists = await syncStorage.get([key, opposite]);
+    const target = lists[key] || [];
+    await syncStorage.set({
+        [key]: target.includes(entry) ? target : [...target, entry],
+        [opposite]: (lists[opposite] || []).filter(e => e !== entry)
+    });
+}
+
+async function removeFromList(key, entry) {
+    const { [key]: list = [] } = await syncStorage.get(key);
+    await syncStorage.set({ [key]: list.filter(e => e !== entry) });
+}
+
+async function toggleEnabled(tab) {
+    const { isEnabled } = await chrome.storage.local.get('isEnabled');
+    await setEnabledManually(!isEnabled);
+    flashBadge(tab?.id, isEnabled ? 'OFF' : 'ON', isEnabled ? '#64748b' : '#22c55e');
+}
+
+/**
+ * Flip the route of the tab's host: drop the manual site or exclusion that matched it,
+ * send a geosite match or a subdomain of a manual site direct, or add an unmatched
+ * host to the manual sites.
+ */
+async function toggleCurrentSite(tab) {
+    const route = tab?.url ? await explainUrl(tab.url) : null;
+    if (!route) return;
+    const { rule, proxied, host } = route;
+    const { directSites = [] } = await syncStorage.get('directSites');
+
+    // A parent domain in the list stays, so its other subdomains keep their route
+    if (rule?.kind === 'site' && rule.name === host) {
+        await removeFromList('sites', rule.name);
+        flashBadge(tab.id, '−', '#64748b');
+    } else if (rule?.kind === 'exclusion' && directSites.includes(rule.name)) {
+        await removeFromList('directSites', rule.name);
+        flashBadge(tab.id, '+', '#22c55e');
+    } else if (proxied) {
+        await moveToList('directSites', host);
+        flashBadge(tab.id, '−', '#64748b');
+    } else if (rule?.kind !== 'exclusion') {
+        await moveToList('sites', host);
+        flashBadge(tab.id, '+', '#22c55e');
+    }
+}
+
+async function createContextMenus() {
+    await i18nReady;
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({ id: MENU_PROXY_LINK, title: t('menuProxyLink'), contexts: ['link'] });
+        chrome.contextMenus.create({ id: MENU_DIRECT_LINK, title: t('menuDirectLink'), contexts: ['link'] });
+    });
+}
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+    if (info.menuItemId !== MENU_PROXY_LINK && info.menuItemId !== MENU_DIRECT_LINK) return;
+    let host;
+    try {
+        host = new URL(info.linkUrl).hostname;
+    } catch {
+        return;
+    }
+    if (!host) return;
+
+    if (info.menuItemId === MENU_PROXY_LINK) {
+        await moveToList('sites', host);
+        flashBadge(tab?.id, '+', '#22c55e');
+    } else {
+        await moveToList('directSites', host);
+        flashBadge(tab?.id, '−', '#64748b');
+    }
+});
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+    const activeTab = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+    if (command === COMMAND_TOGGLE_PROXY) toggleEnabled(activeTab);
+    if (command === COMMAND_TOGGLE_SITE) toggleCurrentSite(activeTab);
+});
+
+// --- Leak protection ---
+
+/**
+ * Keep WebRTC from sending UDP around the proxy while it is on, and publish what
+ * protects the real IP and DNS for the popup. Clearing the setting hands it back
+ * to whatever the user or another extension had before.
+ */
+async function applyLeakProtection({ isEnabled, settings, proxies, directFailover }) {
+    const policy = chrome.privacy?.network.webRTCIPHandlingPolicy;
+    try {
+        if (isEnabled && settings.webrtc) await policy?.set({ value: WEBRTC_POLICY, scope: 'regular' });
+        else await policy?.clear({ scope: 'regular' });
+    } catch (e) {
+        // Locked by policy or another extension; the status below says so
+        console.warn('[Leaks] Cannot change the WebRTC policy:', e.message);
+    }
+    if (!isEnabled) {
+        await chrome.storage.local.remove('leakStatus');
+        return;
+    }
+    const webrtc = policy ? await policy.get({}) : null;
+    await chrome.storage.local.set({ leakStatus: describeLeakStatus(settings, { webrtc, proxies, directFailover }) });
+}
+
+// --- Proxy health checks ---
+
+/**
+ * Record a check of the primary proxy. Failover starting or ending rebuilds the
+ * PAC script, so the main proxy's rules move to the fallbacks or DIRECT and back.
+ */
+async function saveHealthCheck(proxy, check) {
+    const { proxyHealth, healthCheck } = await chrome.storage.local.get(['proxyHealth', 'healthCheck']);
+    const updated = recordCheck(proxyHealth, proxy, check);
+    await chrome.storage.local.set({ proxyHealth: updated });
+
+    const settings = normalizeHealthSettings(healthCheck);
+    const failingOver = isFailingOver(updated, settings, proxy);
+    if (failingOver !== isFailingOver(proxyHealth, settings, proxy)) {
+        console.log(`[Health] ${proxy}: ${failingOver ? `failing over (${settings.failover})` : 'back to normal'}`);
+        updateProxy();
+    }
+}
+
+/**
+ * Fetch a URL whose host the PAC script sends through the primary proxy only.
+ * Returns { ok, status, latency } or { ok: false, auth, timedOut, error } with the
+ * reason webRequest gave; a 407 from the proxy is an auth failure.
+ */
+async function probeUrl(href, init = {}) {
+    const probe = {};
+    pendingProbes.set(href, probe);
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), PROBE_TIMEOUT_MS);
+    const started = performance.now();
+    try {
+        const response = await fetch(href, { cache: 'no-store', credentials: 'omit', ...init, signal: controller.signal });
+        if (response.status === 407) return { ok: false, auth: true, error: t('healthAuth') };
+        return { ok: true, status: response.status, latency: Math.round(performance.now() - started) };
+    } catch (e) {
+        // webRequest may report the reason just after fetch() rejects
+        await new Promise(resolve => setTimeout(resolve, PROBE_EVENT_GRACE_MS));
+        return {
+            ok: false,
+            auth: Boolean(probe.auth),
+            timedOut: controller.signal.aborted,
+            error: probe.auth ? t('healthAuth')
+                : controller.signal.aborted ? t('errorNoResponse', PROBE_TIMEOUT_MS / 1000)
+                    : probe.error || e.message
+        };
+    } finally {
+        clearTimeout(timeoutId);
+        pendingProbes.delete(href);
+    }
+}
+
+/**
+ * Fetch the test URL through the primary proxy of the main config (the PAC script
+ * sends its host nowhere else) and record the latency or why it failed.
+ */
+async function checkProxyHealth() {
+    const { isEnabled, proxyConfig, healthCheck } = await chrome.storage.local.get(['isEnabled', 'proxyConfig', 'healthCheck']);
+    const primary = parseProxyConfig(proxyConfig)[0];
+    if (!isEnabled || !primary) return;
+    await currentRouting; // the probe route has to be in place
+
+    // A unique URL defeats caches and tells the probe's webRequest events apart;
+    // the probe host name is what the PAC script pins to the primary proxy
+    const url = new URL(normalizeHealthSettings(healthCheck).url);
+    url.hostname = probeHostName(url.hostname);
+    url.searchParams.set('auto-proxy-probe', Date.now());
+    // Any answer from the site means the proxy works
+    const { ok, latency, auth, error } = await probeUrl(url.href);
+    const check = ok ? { ok, latency } : { ok, auth, error };
+
+    console.log(`[Health] ${proxyKey(primary)}:`, check.ok ? `${check.latency} ms` : check.error);
+    await saveHealthCheck(proxyKey(primary), { at: Date.now(), ...check });
+}
+
+/**
+ * Keep the periodic check alarm in line with the settings: it runs only while
+ * the proxy is on. checkNow also checks right away, e.g. after switching on.
+ */
+async function scheduleHealthChecks({ checkNow = false } = {}) {
+    const { isEnabled, healthCheck } = await chrome.storage.local.get(['isEnabled', 'healthCheck']);
+    if (!isEnabled) {
+        await chrome.alarms.clear(HEALTH_ALARM_NAME);
+        return;
+    }
+    const { intervalMinutes } = normalizeHealthSettings(healthCheck);
+    const existing = await chrome.alarms.get(HEALTH_ALARM_NAME);
+    if (existing?.periodInMinutes !== intervalMinutes) {
+        await chrome.alarms.create(HEALTH_ALARM_NAME, { periodInMinutes: intervalMinutes });
+    }
+    if (checkNow) await checkProxyHealth();
+}
+
+/**
+ * A regular request failed because of the proxy: remember it for the popup and
+ * check the proxy, unless a check ran moments ago.
+ */
+function reportProxyError(url, error) {
+    let host = '';
+    try {
+        host = new URL(url).hostname;
+    } catch { }
+    chrome.storage.local.set({ lastProxyError: { at: Date.now(), host, error } });
+    if (Date.now() - lastErrorCheck < ERROR_RECHECK_MS) return;
+    lastErrorCheck = Date.now();
+    checkProxyHealth();
+}
+
+chrome.webRequest.onErrorOccurred.addListener(
+    (details) => {
+        authAttempts.delete(details.requestId);
+        const probe = pendingProbes.get(details.url);
+        if (probe) probe.error ??= details.error;
+        else if (isProxyError(details.error)) reportProxyError(details.url, details.error);
+    },
+    { urls: ["<all_urls>"] }
+);
+
+// --- Blocked host detection ---
+
+// Hosts waiting for a retest through the proxy -> the error they failed DIRECT with
+const retestQueue = new Map();
+// Hosts of the latest retest batch; the PAC script sends their probes through the primary proxy only
+const retestingHosts = new Set();
+// host -> time of its last retest, so a site that is simply down isn't retested on every request
+const retestedAt = new Map();
+let retestTimer = null;
+
+/**
+ * A request failed DIRECT with a reset, timeout or certificate error: queue its
+ * host for a retest through the proxy, unless it is known or was tried lately.
+ */
+async function noticeDirectFailure(details) {
+    if (!isBlockingError(details.error) || pendingProbes.has(details.url)) return;
+    let host;
+    try {
+        host = new URL(details.url).hostname.toLowerCase();
+    } catch {
+        return;
+    }
+    if (!isHostName(host) || /^\d+(\.\d+){3}$/.test(host) || retestQueue.has(host) || retestingHosts.has(host)) return;
+    if (Date.now() - (retestedAt.get(host) || 0) < RETEST_INTERVAL_MS) return;
+
+    const { blockDetection, detectedHosts } = await chrome.storage.local.get(['blockDetection', 'detectedHosts']);
+    if (normalizeDetectionSettings(blockDetection).mode === 'off' || isKnownHost(detectedHosts, host)) return;
+    // Only hosts no rule sends to a proxy; exclusions go DIRECT on purpose
+    const { isEnabled, match } = await currentRouting;
+    const { proxies, rule } = match(host);
+    if (!isEnabled || proxies.length || rule?.kind === 'exclusion') return;
+
+    retestQueue.set(host, details.error);
+    retestTimer ??= setTimeout(runRetests, RETEST_DELAY_MS);
+}
+
+/**
+ * Retest queued hosts through the primary proxy, a batch at a time: the PAC script
+ * is rebuilt once per batch, with the batch as its probe hosts. The previous batch is not
+ * cleared separately, since only the probes themselves use the probe host names.
+ */
+async function runRetests() {
+    const batch = [...retestQueue].slice(0, RETEST_BATCH);
+    for (const [host] of batch) retestQueue.delete(host);
+
+    try {
+        const { proxyConfig, proxyHealth } = await chrome.storage.local.get(['proxyConfig', 'proxyHealth']);
+        const primary = parseProxyConfig(proxyConfig)[0];
+        // Through a proxy that fails its own checks a retest tells nothing
+        const proxyDown = proxyHealth?.proxy === proxyKey(primary) && proxyHealth.failures > 0;
+        if (primary && !proxyDown) {
+            retestingHosts.clear();
+            for (const [host] of batch) {
+                retestingHosts.add(host);
+                retestedAt.delete(host);
+                retestedAt.set(host, Date.now());
+            }
+            while (retestedAt.size > RETEST_TRACKED_HOSTS) retestedAt.delete(retestedAt.keys().next().value);
+
+            await updateProxy();
+            const results = await Promise.all(batch.map(([host]) => probeUrl(`https://${probeHostName(host)}/`, { method: 'HEAD', redirect: 'manual' })));
+            const opened = batch.filter((_, i) => results[i].ok).map(([host, error]) => ({ host, error, at: Date.now() }));
+            await saveDetectedHosts(opened);
+        }
+    } catch (e) {
+        console.error('[Detect] Retest failed:', e);
+    } finally {
+        // Even after a failure the queue keeps going
+        retestTimer = retestQueue.size ? setTimeout(runRetests, RETEST_DELAY_MS) : null;
+    }
+}
+
+// Suggest or learn hosts that opened through the proxy, depending on the mode
+async function saveDetectedHosts(found) {
+    if (!found.length) return;
+    const { blockDetection, detectedHosts } = await chrome.storage.local.get(['blockDetection', 'detectedHosts']);
+    const settings = normalizeDetectionSettings(blockDetection);
+    const detected = found.reduce((d, host) => addDetectedHost(d, host, settings), detectedHosts);
+    await chrome.storage.local.set({ detectedHosts: detected });
+    console.log(`[Detect] Opened through the proxy (${settings.mode}):`, found.map(f => f.host).join(', '));
+    await scheduleLearnedExpiry(detected);
+}
+
+// Wake up when the next learned host expires
+async function scheduleLearnedExpiry(detected) {
+    const next = Math.min(...normalizeDetected(detected).learned.map(h => h.expiresAt));
+    if (Number.isFinite(next)) await chrome.alarms.create(LEARNED_ALARM_NAME, { when: next });
+    else await chrome.alarms.clear(LEARNED_ALARM_NAME);
+}
+
+async function expireLearnedHosts() {
+    const { detectedHosts } = await chrome.storage.local.get('detectedHosts');
+    const { detected, expired } = pruneLearned(detectedHosts);
+    if (expired.length) {
+        await chrome.storage.local.set({ detectedHosts: detected });
+        console.log('[Detect] Learned hosts expired:', expired.join(', '));
+        updateProxy();
+    }
+    await scheduleLearnedExpiry(detected);
+}
+
+/**
+ * Approve a suggested or learned host from the popup, making it a manual site,
+ * or decline it for good.
+ */
+async function reviewDetectedHost(host, approve) {
+    const { detectedHosts } = await chrome.storage.local.get('detectedHosts');
+    const detected = resolveDetectedHost(detectedHosts, host, { dismiss: !approve });
+    await chrome.storage.local.set({ detectedHosts: detected });
+    await scheduleLearnedExpiry(detected);
+    // A new manual site rebuilds the PAC script on its own
+    if (approve) await moveToList('sites', host);
+    else updateProxy();
+}
+
+chrome.webRequest.onErrorOccurred.addListener(
+    (details) => {
+        noticeDirectFailure(details);
+    },
+    { urls: ["<all_urls>"] }
+);
+
+// --- Automatic enablement ---
+
+let autoEvaluation = null;
+
+/**
+ * Whether anything answers at an address: a response of any kind, or a network
+ * error that came after connecting (a SOCKS proxy talking back to plain HTTP).
+ */
+async function probeReachable(href) {
+    const result = await probeUrl(href, { method: 'HEAD', redirect: 'manual' });
+    return result.ok || result.auth || (!result.timedOut && /^net::/.test(result.error) && !isUnreachableError(result.error));
+}
+
+/**
+ * Run the automatic rules and switch the proxy the way the first rule that holds
+ * says. A manual override pauses them until it runs out. Runs one at a time.
+ */
+function evaluateAutoEnable() {
+    autoEvaluation ??= runAutoEnable().finally(() => {
+        autoEvaluation = null;
+    });
+    return autoEvaluation;
+}
+
+async function runAutoEnable() {
+    const { autoEnable, enableOverride, isEnabled, proxyConfig } = await chrome.storage.local.get([
+        'autoEnable', 'enableOverride', 'isEnabled', 'proxyConfig'
+    ]);
+    const settings = normalizeAutoEnable(autoEnable);
+    if (!settings.rules.length) {
+        await chrome.alarms.clear(AUTO_ALARM_NAME);
+        await chrome.storage.local.remove(['autoEnableState', 'enableOverride']);
+        return;
+    }
+    if (enableOverride?.until > Date.now()) {
+        await chrome.alarms.create(AUTO_ALARM_NAME, { when: enableOverride.until });
+        return;
+    }
+    if (enableOverride) await chrome.storage.local.remove('enableOverride');
+
+    const needed = probesNeeded(settings.rules);
+    const primary = parseProxyConfig(proxyConfig)[0];
+    const [proxy, ...urls] = await Promise.all([
+        needed.proxy && primary ? probeReachable(`${primary.scheme === 'https' ? 'https' : 'http'}://${primary.host}:${primary.port}/`) : null,
+        ...needed.urls.map(probeReachable)
+    ]);
+    const reachable = { proxy, urls: Object.fromEntries(needed.urls.map((url, i) => [url, urls[i]])) };
+
+    const decision = decideEnabled(settings.rules, { reachable });
+    await chrome.storage.local.set({
+        autoEnableState: { at: Date.now(), enabled: decision?.enabled ?? null, rule: decision?.rule ?? null }
+    });
+    if (decision && decision.enabled !== Boolean(isEnabled)) {
+        console.log(`[Auto] ${decision.enabled ? 'Enabling' : 'Disabling'} proxy: ${describeAutoRule(decision.rule, t)}`);
+        await chrome.storage.local.set({ isEnabled: decision.enabled });
+    }
+
+    // Wake up when a time window opens or closes, and to probe again
+    const probing = needed.proxy || needed.urls.length > 0;
+    const next = Math.min(nextTimeChange(settings.rules) ?? Infinity, probing ? Date.now() + settings.checkMinutes * 60 * 1000 : Infinity);
+    if (Number.isFinite(next)) await chrome.alarms.create(AUTO_ALARM_NAME, { when: next });
+    else await chrome.alarms.clear(AUTO_ALARM_NAME);
+}
+
+/**
+ * Switch the proxy by hand from the popup or the hotkey. With automatic rules set
+ * up, this holds for overrideMinutes before the rules take over again.
+ */
+async function setEnabledManually(enabled) {
+    const { autoEnable } = await chrome.storage.local.get('autoEnable');
+    const settings = normalizeAutoEnable(autoEnable);
+    const override = settings.rules.length ? { enabled, until: Date.now() + settings.overrideMinutes * 60 * 1000 } : null;
+    await chrome.storage.local.set({ isEnabled: enabled, ...(override && { enableOverride: override }) });
+}
+
+// A new network may be the office one or lose the proxy: look again
+chrome.webRequest.onErrorOccurred.addListener(
+    (details) => {
+        if (details.error === 'net::ERR_NETWORK_CHANGED') evaluateAutoEnable();
+    },
+    { urls: ["<all_urls>"] }
+);
+
+// --- Proxy credentials ---
+
+// Logins live encrypted in proxyCredentials: { mode: 'install' | 'passphrase', salt, iv, data, hosts }.
+// proxyConfig and proxyProfiles keep the proxies without them.
+const INSTALL_KEY_NAME = 'credentials';
+
+
+// Passphrase key once unlocked; session storage keeps it across service worker restarts until the browser closes
+let passphraseKey = null;
+let credentialQueue = Promise.resolve();
+
+// Credential changes run one at a time: each one re-encrypts the whole set
+function queueCredentialTask(task) {
+    const run = credentialQueue.then(task);
+    credentialQueue = run.catch(() => { });
+    return run;
+}
+
+async function installKey() {
+    let key = await getKey(INSTALL_KEY_NAME);
+    if (!key) {
+        key = await generateKey();
+        await putKey(INSTALL_KEY_NAME, key);
+    }
+    return key;
+}
+
+// The key the stored logins are encrypted with, or null while the passphrase isn't entered
+async function credentialKey(vault) {
+    if (vault?.mode !== 'passphrase') return installKey();
+    if (!passphraseKey) {
+        const { credentialKey: raw } = await chrome.storage.session.get('credentialKey');
+        if (raw) passphraseKey = await crypto.subtle.importKey('raw', fromBase64(raw), 'AES-GCM', true, ['encrypt', 'decrypt']);
+    }
+    return passphraseKey;
+}
+
+async function rememberPassphraseKey(key) {
+    passphraseKey = key;
+    const raw = key ? toBase64(await crypto.subtle.exportKey('raw', key)) : null;
+    if (raw) await chrome.storage.session.set({ credentialKey: raw });
+    else await chrome.storage.session.remove('credentialKey');
+}
+
+/** Stored logins: [{ host, port, user, pass }], or null while locked. */
+async function readCredentials() {
+    const { proxyCredentials: vault } = await chrome.storage.local.get('proxyCredentials');
+    if (!vault) return [];
+    const key = await credentialKey(vault);
+    return key ? decryptJson(key, vault) : null;
+}
+
+async function writeCredentials(credentials, { mode, salt, key }) {
+    const encrypted = await encryptJson(key, credentials);
+    await chrome.storage.local.set({
+        proxyCredentials: { mode, ...(salt && { salt }), ...encrypted, hosts: credentials.map(credentialHost) }
+    });
+}
+
+/**
+ * Save the main proxy list and/or the profiles as typed in the popup: logins go to
+ * the encrypted store, the lists are kept without them. Logins of proxies that are
+ * no longer listed are dropped. `isDefault` marks a main list that is still the
+ * build-time default. Returns { ok } or { error }.
+ */
+function saveProxySettings(update, { isDefault = false } = {}) {
+    return queueCredentialTask(async () => {
+        const { proxyConfig, proxyProfiles, proxyCredentials: vault } = await chrome.storage.local.get([
+            'proxyConfig', 'proxyProfiles', 'proxyCredentials'
+        ]);
+        const found = [];
+        const split = (config) => {
+            const result = splitCredentials(config);
+            found.push(...result.credentials);
+            return result.config;
+        };
+        const next = {
+            proxyConfig: split(update.proxyConfig ?? proxyConfig ?? ''),
+            proxyProfiles: (update.proxyProfiles ?? proxyProfiles ?? []).map(p => ({ ...p, config: split(p.config) }))
+        };
+        // Any list the user saves stops following the build default
+        if (update.proxyConfig !== undefined) next.proxyConfigIsDefault = isDefault;
+
+        const key = await credentialKey(vault);
+        if (key) {
+            const stored = vault ? await decryptJson(key, vault) : [];
+            const credentials = mergeCredentials(stored, found, collectProxies({ proxyConfig: next.proxyConfig, profiles: next.proxyProfiles }));
+            if (vault || credentials.length) await writeCredentials(credentials, { mode: vault?.mode || 'install', salt: vault?.salt, key });
+        } else if (found.length) {
+            return { error: t('credentialsLockedError') };
+        }
+        await chrome.storage.local.set(next);
+        return { ok: true };
+    });
+}
+
+/**
+ * Encrypt the logins under a passphrase, or under the install key again when the
+ * passphrase is empty. Needs them unlocked.
+ */
+function setCredentialPassphrase(passphrase) {
+    return queueCredentialTask(async () => {
+        const credentials = await readCredentials();
+        if (!credentials) return { error: t('credentialsLockedError') };
+        if (!passphrase) {
+            await writeCredentials(credentials, { mode: 'install', key: await installKey() });
+            await rememberPassphraseKey(null);
+        } else {
+            const salt = randomSalt();
+            const key = await deriveKey(passphrase, salt);
+            await writeCredentials(credentials, { mode: 'passphrase', salt, key });
+            await rememberPassphraseKey(key);
+        }
+        console.log(`[Credentials] Encrypted with ${passphrase ? 'a passphrase' : 'the install key'}`);
+        return { ok: true };
+    });
+}
+
+async function unlockCredentials(passphrase) {
+    const { proxyCredentials: vault } = await chrome.storage.local.get('proxyCredentials');
+    if (vault?.mode !== 'passphrase') return { ok: true };
+    const key = await deriveKey(passphrase, vault.salt);
+    try {
+        await decryptJson(key, vault);
+    } catch {
+        return { error: t('wrongPassphrase') };
+    }
+    await rememberPassphraseKey(key);
+    return { ok: true };
+}
+
+function forgetCredentials() {
+    return queueCredentialTask(async () => {
+        await chrome.storage.local.remove('proxyCredentials');
+        await rememberPassphraseKey(null);
+        console.log('[Credentials] Forgotten');
+        return { ok: true };
+    });
+}
+
+async function credentialStatus() {
+    const { proxyCredentials: vault } = await chrome.storage.local.get('proxyCredentials');
+    return {
+        mode: vault?.mode || 'install',
+        locked: vault?.mode === 'passphrase' && !(await credentialKey(vault)),
+        hosts: vault?.hosts || []
+    };
+}
+
+// --- Auth and settings ---
 
 chrome.storage.onChanged.addListener((changes, area) => {
-    if (area === 'sync' && changes.sites) {
+    if (area === 'sync' && (shardChanged(changes, 'sites') || shardChanged(changes, 'routes') || shardChanged(changes, 'directSites') || changes.bypassLocal)) {
         updateProxy();
     }
+    if (area === 'sync' && changes.geoCategories) {
+        getRuleSources().then(([builtin]) => queueSourceTask(() => reparseSource(builtin)));
+    }
+    if (area === 'sync' && changes.ruleSources) {
+        applySourceChanges(changes.ruleSources.oldValue, changes.ruleSources.newValue).then(updateProxy);
+    }
     if (area === 'local') {
-        if (changes.isEnabled || changes.geoSites || changes.proxyConfig) {
-            if (changes.proxyConfig) {
-                cachedConfig = parseProxyConfig(changes.proxyConfig.newValue || DEFAULT_PROXY_CONFIG);
+        if (changes.isEnabled || changes.rulesUpdatedAt || changes.proxyConfig || changes.proxyProfiles || changes.healthCheck || changes.leakProtection) {
+            const routing = updateProxy();
+            // A new proxy or test URL is checked right away, as is switching on
+            if (changes.isEnabled || changes.proxyConfig || changes.healthCheck) {
+                routing.then(() => scheduleHealthChecks({ checkNow: true }));
             }
-            updateProxy();
+        }
+        // Ending an override hands the switch back to the rules
+        if (changes.autoEnable || (changes.enableOverride && !changes.enableOverride.newValue) || (changes.proxyConfig && !changes.isEnabled)) {
+            evaluateAutoEnable();
+        }
+        if (changes.uiLanguage) {
+            i18nReady = initI18n();
+            createContextMenus();
         }
     }
 });
 
 chrome.webRequest.onAuthRequired.addListener(
-    (details) => {
-        if (details.isProxy && cachedConfig && cachedConfig.user && cachedConfig.pass) {
-            return {
-                authCredentials: {
-                    username: cachedConfig.user,
-                    password: cachedConfig.pass
-                }
-            };
+    (details, callback) => {
+        if (!details.isProxy) return callback({});
+
+        // Asked again for the same request: the proxy rejected the credentials, stop the loop
+        const attempts = (authAttempts.get(details.requestId) || 0) + 1;
+        authAttempts.delete(details.requestId);
+        authAttempts.set(details.requestId, attempts);
+        if (authAttempts.size > AUTH_TRACKED_REQUESTS) authAttempts.delete(authAttempts.keys().next().value);
+        if (attempts > AUTH_ATTEMPTS_LIMIT) {
+            const probe = pendingProbes.get(details.url);
+            if (probe) probe.auth = true;
+            else reportProxyError(details.url, t('healthAuth'));
+            return callback({ cancel: true });
         }
+
+        // Answer with the login of whichever proxy (of any profile) challenged, decrypted for this answer only
+        readCredentials()
+            .then((credentials) => {
+                if (!credentials) reportProxyError(details.url, t('credentialsLockedError'));
+                const proxy = findChallenger(credentials || [], details.challenger);
+                callback(proxy ? { authCredentials: { username: proxy.user, password: proxy.pass } } : {});
+            })
+            .catch((e) => {
+                console.error('[Credentials] Cannot decrypt:', e);
+                callback({});
+            });
     },
     { urls: ["<all_urls>"] },
-    ["blocking"]
+    ["asyncBlocking"]
 );
 
 // Initialize on startup
-updateProxy();
+updateProxy().then(() => scheduleHealthChecks());
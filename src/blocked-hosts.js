@@ -0,0 +1,83 @@
+// Detection of blocked hosts: DIRECT requests that fail the way blocking does are
+// retested through the proxy, and hosts that open there are suggested or learned.
+// Kept free of chrome.* APIs; the service worker runs the retests.
+
+// What to do with a host that failed DIRECT but opened through the proxy, and the message keys of their names
+export const DETECTION_MODES = {
+    off: 'detectionOff',
+    suggest: 'detectionSuggest',
+    learn: 'detectionLearn'
+};
+
+export const DEFAULT_DETECTION = { mode: 'off', learnDays: 7 };
+
+export const SUGGESTION_LIMIT = 50;
+// Hosts declined in the popup are never suggested again; the oldest are forgotten first
+export const DISMISSED_LIMIT = 500;
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// Connection resets, timeouts and certificate errors: how DPI and DNS blocking look
+const BLOCKING_ERROR = /^net::ERR_(CONNECTION_(RESET|CLOSED|ABORTED|TIMED_OUT)|TIMED_OUT|CERT_|SSL_PROTOCOL_ERROR)/;
+
+export function isBlockingError(error) {
+    return BLOCKING_ERROR.test(error || '');
+}
+
+/** Stored detection settings with defaults filled in and invalid values dropped. */
+export function normalizeDetectionSettings(settings = {}) {
+    const result = { ...DEFAULT_DETECTION };
+    if (settings.mode in DETECTION_MODES) result.mode = settings.mode;
+    const days = Number(settings.learnDays);
+    if (Number.isFinite(days) && days >= 1) result.learnDays = Math.round(days);
+    return result;
+}
+
+/**
+ * Detected hosts as stored: { suggestions: [{ host, error, at }],
+ * learned: [{ host, error, at, expiresAt }], dismissed: [host] }.
+ */
+export function normalizeDetected(detected = {}) {
+    return { suggestions: [], learned: [], dismissed: [], ...detected };
+}
+
+/** Whether a host is already suggested, learned or declined. */
+export function isKnownHost(detected, host) {
+    const { suggestions, learned, dismissed } = normalizeDetected(detected);
+    return dismissed.includes(host) || [...suggestions, ...learned].some(h => h.host === host);
+}
+
+/**
+ * Add a host `{ host, error, at }` that opened through the proxy: a suggestion,
+ * or in learn mode a learned host that expires after settings.learnDays.
+ */
+export function addDetectedHost(detected, found, settings) {
+    const current = normalizeDetected(detected);
+    if (isKnownHost(current, found.host)) return current;
+    if (settings.mode === 'learn') {
+        return { ...current, learned: [...current.learned, { ...found, expiresAt: found.at + settings.learnDays * DAY_MS }] };
+    }
+    return { ...current, suggestions: [...current.suggestions, found].slice(-SUGGESTION_LIMIT) };
+}
+
+/** Take a host off the suggestions and learned hosts; declining also remembers it. */
+export function resolveDetectedHost(detected, host, { dismiss = false } = {}) {
+    const current = normalizeDetected(detected);
+    return {
+        suggestions: current.suggestions.filter(h => h.host !== host),
+        learned: current.learned.filter(h => h.host !== host),
+        dismissed: dismiss ? [...current.dismissed.filter(h => h !== host), host].slice(-DISMISSED_LIMIT) : current.dismissed
+    };
+}
+
+/** Drop learned hosts that expired by `now`; returns { detected, expired: [host] }. */
+export function pruneLearned(detected, now = Date.now()) {
+    const current = normalizeDetected(detected);
+    const expired = current.learned.filter(h => h.expiresAt <= now).map(h => h.host);
+    return { detected: { ...current, learned: current.learned.filter(h => h.expiresAt > now) }, expired };
+}
+
+/** Learned hosts still in effect, for the PAC script. */
+export function activeLearnedHosts(detected, now = Date.now()) {
+    return normalizeDetected(detected).learned.filter(h => h.expiresAt > now).map(h => h.host);
+}
@@ -0,0 +1,9 @@
+// Categories proxied until the user picks their own in the popup.
+// 'RU' is deliberately left out: it lists domestic sites, not blocked ones.
+export const DEFAULT_CATEGORIES = [
+    'MICROSOFT', 'OPENAI', 'YOUTUBE', 'GOOGLE', 'TELEGRAM',
+    'TWITTER', 'FACEBOOK', 'INSTAGRAM', 'LINKEDIN',
+    'TIKTOK', 'NETFLIX', 'SPOTIFY', 'APPLE', 'AMAZON',
+    'CATEGORY-VPN', 'CATEGORY-PROXY',
+    'RU-BLOCKED'
+];
@@ -0,0 +1,215 @@
+// Backup and restore of the extension settings, plus import of third-party rule lists.
+// Kept free of chrome.* APIs: callers read and write storage themselves.
+import { parseProxyConfig, formatProxyEntry } from './proxy-config.js';
+import { normalizeHost, isHostName } from './domains.js';
+import { normalizeAutoEnable, describeAutoRule } from './auto-enable.js';
+import { LocalizedError, LANGUAGES } from './i18n.js';
+
+export const CONFIG_FORMAT = 'auto-proxy-config';
+export const CONFIG_VERSION = 1;
+
+const isString = v => typeof v === 'string';
+const isStringList = v => Array.isArray(v) && v.every(isString);
+const isStringMap = v => v !== null && typeof v === 'object' && !Array.isArray(v) && Object.values(v).every(isString);
+
+// Exported settings: storage area and shape check for each key
+export const SETTINGS = {
+    proxyConfig: { area: 'local', valid: isString },
+    proxyProfiles: {
+        area: 'local',
+        valid: v => Array.isArray(v) && v.every(p => p && isString(p.name) && p.name && isString(p.config))
+    },
+    sites: { area: 'sync', valid: isStringList },
+    siteNotes: {
+        area: 'sync',
+        valid: v => v !== null && typeof v === 'object' && !Array.isArray(v) && Object.values(v).every(n =>
+            n && (n.note === undefined || isString(n.note)) && (n.tags === undefined || isStringList(n.tags)))
+    },
+    directSites: { area: 'sync', valid: isStringList },
+    bypassLocal: { area: 'sync', valid: v => typeof v === 'boolean' },
+    geoCategories: { area: 'sync', valid: isStringList },
+    ruleSources: {
+        area: 'sync',
+        // Source names become category names, so two sources can't share one
+        valid: v => Array.isArray(v) && v.every(src => src && isString(src.id) && isString(src.name)
+            && isString(src.format) && isStringList(src.urls || []) && isStringList(src.categories || []))
+            && new Set(v.map(src => src.name.toLowerCase())).size === v.length
+    },
+    healthCheck: {
+        area: 'local',
+        valid: v => v !== null && typeof v === 'object' && isString(v.url)
+    },
+    blockDetection: {
+        area: 'local',
+        valid: v => v !== null && typeof v === 'object' && isString(v.mode)
+    },
+    autoEnable: {
+        area: 'local',
+        valid: v => v !== null && typeof v === 'object' && Array.isArray(v.rules)
+    },
+    leakProtection: {
+        area: 'local',
+        valid: v => v !== null && typeof v === 'object' && !Array.isArray(v)
+    },
+    routes: {
+        area: 'sync',
+        valid: v => v !== null && typeof v === 'object' && isStringMap(v.categories || {}) && isStringMap(v.sites || {})
+    },
+    uiLanguage: { area: 'local', valid: v => LANGUAGES.includes(v) }
+};
+
+// Rewrite a proxy list without logins and passwords
+function redactProxyConfig(config) {
+    return parseProxyConfig(config).map(p => formatProxyEntry(p, { withCredentials: false })).join(', ');
+}
+
+/**
+ * Build the export file from the current settings (values as read from storage).
+ * Proxy logins and passwords are left out of every proxy list, in case a list
+ * saved by an older version still holds them.
+ */
+export function exportConfig(settings) {
+    const exported = {};
+    for (const key of Object.keys(SETTINGS)) {
+        if (settings[key] !== undefined) exported[key] = settings[key];
+    }
+    if (exported.proxyConfig) exported.proxyConfig = redactProxyConfig(exported.proxyConfig);
+    if (exported.proxyProfiles) {
+        exported.proxyProfiles = exported.proxyProfiles.map(p => ({ ...p, config: redactProxyConfig(p.config) }));
+    }
+    return {
+        format: CONFIG_FORMAT,
+        version: CONFIG_VERSION,
+        exportedAt: new Date().toISOString(),
+        settings: exported
+    };
+}
+
+/**
+ * Parse and validate an export file. Returns the settings it holds; throws a
+ * LocalizedError with a user-facing message when the file is not a valid configuration.
+ */
+export function parseConfigFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new LocalizedError('errorNotJson');
+    }
+    if (!data || data.format !== CONFIG_FORMAT || !data.settings || typeof data.settings !== 'object') {
+        throw new LocalizedError('errorNotConfig');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new LocalizedError('errorNoVersion');
+    }
+    if (data.version > CONFIG_VERSION) {
+        throw new LocalizedError('errorNewerVersion', data.version);
+    }
+
+    const settings = {};
+    for (const [key, value] of Object.entries(data.settings)) {
+        if (!SETTINGS[key]) continue; // settings of newer versions are ignored
+        if (!SETTINGS[key].valid(value)) throw new LocalizedError('errorInvalidSetting', key);
+        settings[key] = value;
+    }
+    return settings;
+}
+
+// Comparable, secret-free lines describing a setting value
+function describe(key, value, translate) {
+    if (value === undefined) return [];
+    if (key === 'proxyConfig') return parseProxyConfig(value).map(p => formatProxyEntry(p, { withCredentials: false }));
+    if (key === 'proxyProfiles') {
+        return value.map(p => `${p.name}: ${redactProxyConfig(p.config) || '—'}`);
+    }
+    if (key === 'routes') {
+        return [
+            ...Object.entries(value.categories || {}).map(([k, v]) => `${k} → ${v}`),
+            ...Object.entries(value.sites || {}).map(([k, v]) => `${k} → ${v}`)
+        ];
+    }
+    if (key === 'siteNotes') {
+        return Object.entries(value).map(([site, n]) => [site, n.note, ...(n.tags || []).map(t => `#${t}`)].filter(Boolean).join(' '));
+    }
+    if (key === 'ruleSources') {
+        return value.map(src => `${src.name} (${src.format})${src.enabled === false ? `, ${translate('sourceDisabled')}` : ''}: ${(src.urls || []).join(' ') || translate('sourceFile')}`);
+    }
+    if (key === 'healthCheck' || key === 'blockDetection' || key === 'leakProtection') {
+        return Object.entries(value).map(([k, v]) => `${k}: ${v}`);
+    }
+    if (key === 'autoEnable') {
+        const { rules, ...rest } = normalizeAutoEnable(value);
+        return [...rules.map(rule => describeAutoRule(rule, translate)), ...Object.entries(rest).map(([k, v]) => `${k}: ${v}`)];
+    }
+    return Array.isArray(value) ? value : [String(value)];
+}
+
+/**
+ * What importing `incoming` would change: [{ key, added, removed }] for each setting
+ * present in the file whose value differs. Proxy credentials are never shown;
+ * `translate` is t() from i18n.js.
+ */
+export function diffConfig(current, incoming, translate) {
+    const changes = [];
+    for (const key of Object.keys(SETTINGS)) {
+        if (incoming[key] === undefined) continue;
+        const before = describe(key, current[key], translate);
+        const after = describe(key, incoming[key], translate);
+        const added = after.filter(v => !before.includes(v));
+        const removed = before.filter(v => !after.includes(v));
+        const changed = added.length || removed.length || JSON.stringify(current[key]) !== JSON.stringify(incoming[key]);
+        if (changed) changes.push({ key, added, removed });
+    }
+    return changes;
+}
+
+// Host of a rule pattern, or null when the pattern can't be expressed as a domain
+function patternHost(pattern) {
+    const host = normalizeHost(pattern.replace(/^(domain|full):/, '').replace(/^\*?\./, ''));
+    return isHostName(host) ? host : null;
+}
+
+// GFWList and other AutoProxy lists are often distributed base64-encoded
+function decodeBase64List(text) {
+    const compact = text.replace(/\s+/g, '');
+    if (!compact || compact.length % 4 !== 0 || !/^[A-Za-z0-9+/]+={0,2}$/.test(compact)) return text;
+    try {
+        const decoded = atob(compact);
+        return /^\[AutoProxy/i.test(decoded) || decoded.includes('||') ? decoded : text;
+    } catch {
+        return text;
+    }
+}
+
+/**
+ * Parse a rule list into { sites, directSites, skipped }. Understands
+ *  - plain domain lists, one domain or URL per line ("#" and ";" comments);
+ *  - AutoProxy / GFWList rules, also base64-encoded: "||domain", "|http://url",
+ *    ".domain", "domain", and "@@" exceptions for direct access;
+ *  - SwitchyOmega rule lists: "*.domain" wildcards and "@@" exceptions.
+ * Keyword, regexp and wildcard-in-the-middle rules have no domain equivalent and are skipped.
+ */
+export function parseRuleList(text) {
+    const sites = new Set();
+    const directSites = new Set();
+    let skipped = 0;
+
+    for (const raw of decodeBase64List(text).split(/\r?\n/)) {
+        const line = raw.trim();
+        if (!line || (/^[!#;[@]/.test(line) && !line.startsWith('@@'))) continue;
+
+        const direct = line.startsWith('@@');
+        const pattern = line.replace(/^@@/, '').replace(/^\|\|/, '').replace(/^\|/, '').replace(/\$.*$/, '');
+        if (pattern.startsWith('/') && pattern.endsWith('/')) {
+            skipped++;
+            continue;
+        }
+        const host = patternHost(pattern);
+        if (!host) {
+            skipped++;
+            continue;
+        }
+        (direct ? directSites : sites).add(host);
+    }
+    return { sites: [...sites], directSites: [...directSites], skipped };
+}
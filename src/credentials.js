@@ -0,0 +1,85 @@
+// Proxy logins and passwords, kept apart from the proxy lists and encrypted at rest
+// with AES-GCM. Kept free of chrome.* APIs; only the service worker holds the key.
+import { parseProxyEntry, splitProxyList, formatProxyEntry } from './proxy-config.js';
+
+// PBKDF2 rounds for a key derived from a passphrase
+export const PBKDF2_ITERATIONS = 310000;
+
+const IV_BYTES = 12;
+const SALT_BYTES = 16;
+
+const sameProxy = (a, b) => a.host.toLowerCase() === b.host.toLowerCase() && String(a.port) === String(b.port);
+
+/** "host:port" of a proxy, as shown for stored logins. */
+export const credentialHost = proxy => `${proxy.host.toLowerCase()}:${proxy.port}`;
+
+/**
+ * Take the logins out of a proxy list: { config, credentials: [{ host, port, user, pass }] }.
+ * Entries with a login are rewritten without it; everything else, including text
+ * that doesn't parse yet, is left as typed.
+ */
+export function splitCredentials(config) {
+    const credentials = [];
+    const parts = splitProxyList(config).map((part, index) => {
+        const proxy = index % 2 ? null : parseProxyEntry(part);
+        if (!proxy?.user) return part;
+        credentials.push({ host: proxy.host, port: proxy.port, user: proxy.user, pass: proxy.pass });
+        return formatProxyEntry(proxy, { withCredentials: false });
+    });
+    return { config: parts.join(''), credentials };
+}
+
+/**
+ * New logins replace stored ones for the same proxy; stored logins of proxies no
+ * longer in `proxies` (every proxy of the main list and the profiles) are dropped.
+ */
+export function mergeCredentials(stored, found, proxies) {
+    const merged = [...found];
+    for (const entry of stored) {
+        if (!merged.some(e => sameProxy(e, entry))) merged.push(entry);
+    }
+    return merged.filter(entry => proxies.some(p => sameProxy(p, entry)));
+}
+
+export function toBase64(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+export function fromBase64(text) {
+    return Uint8Array.from(atob(text), c => c.charCodeAt(0));
+}
+
+export const randomSalt = () => toBase64(crypto.getRandomValues(new Uint8Array(SALT_BYTES)));
+
+/** A random key for this install; it can't be read back out of the CryptoKey. */
+export function generateKey() {
+    return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+}
+
+/**
+ * The key for a passphrase and a base64 salt. It is extractable, so the unlocked
+ * key can outlive a service worker restart in session storage.
+ */
+export async function deriveKey(passphrase, salt) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: fromBase64(salt), iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        true,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/** Encrypt a JSON value: { iv, data }, both base64. */
+export async function encryptJson(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+    return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+/** Decrypt what encryptJson made; rejects when the key is wrong or the data was altered. */
+export async function decryptJson(key, { iv, data }) {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data));
+    return JSON.parse(new TextDecoder().decode(plain));
+}
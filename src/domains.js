@@ -0,0 +1,34 @@
+// Host name helpers shared by the service worker and the popup.
+
+/**
+ * Normalize user input to a bare host: drops protocol, credentials, port, path
+ * and slashes, so both "example.com" and "https://example.com/page" give "example.com".
+ */
+export function normalizeHost(input) {
+    let domain = input.trim().toLowerCase();
+    try {
+        domain = new URL(domain.includes('://') ? domain : 'https://' + domain).hostname;
+    } catch { }
+    return domain;
+}
+
+/** Whether a normalized host looks like a domain name with at least two labels. */
+export function isHostName(host) {
+    return /^[a-z0-9_-]+(\.[a-z0-9_-]+)+$/.test(host);
+}
+
+// Second-level labels that commonly act as public suffixes under a country TLD (co.uk, com.ru, ...)
+const SECOND_LEVEL = new Set(['co', 'com', 'net', 'org', 'gov', 'edu', 'ac', 'or', 'ne', 'go', 'msk', 'spb']);
+
+/**
+ * Registrable parent domain of a host: "a.b.example.com" -> "example.com",
+ * "www.bbc.co.uk" -> "bbc.co.uk". A heuristic rather than the full Public Suffix List,
+ * which is too large to ship; IP addresses and single-label hosts are returned as is.
+ */
+export function registrableDomain(host) {
+    if (/^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.includes(':')) return host;
+    const labels = host.split('.');
+    if (labels.length <= 2) return host;
+    const count = labels.at(-1).length === 2 && SECOND_LEVEL.has(labels.at(-2)) ? 3 : 2;
+    return labels.slice(-count).join('.');
+}
@@ -0,0 +1,85 @@
+// Proxy health checks: settings, check history and failover decisions.
+// Kept free of chrome.* APIs; the service worker runs the probes.
+import { parseProxyConfig, formatProxyEntry } from './proxy-config.js';
+
+export const DEFAULT_HEALTH_SETTINGS = {
+    // Tiny "204 No Content" endpoint; its host is always sent through the main proxy
+    url: 'https://www.gstatic.com/generate_204',
+    intervalMinutes: 5,
+    failover: 'none'
+};
+
+// What to do while the main proxy fails its checks, and the message keys of their names
+export const FAILOVER_MODES = {
+    none: 'failoverNone',
+    fallback: 'failoverFallback',
+    direct: 'failoverToDirect'
+};
+
+// Checks kept for the popup
+export const HEALTH_HISTORY = 20;
+// Consecutive failed checks after which the proxy counts as down
+export const FAILURE_THRESHOLD = 2;
+// Slower answers are shown as a warning
+export const SLOW_LATENCY_MS = 2000;
+
+// webRequest errors that mean the proxy, not the site, is at fault
+const PROXY_ERROR = /^net::ERR_(PROXY_|TUNNEL_CONNECTION_FAILED|SOCKS_|HTTPS_PROXY_|MANDATORY_PROXY)/;
+
+export function isProxyError(error) {
+    return PROXY_ERROR.test(error || '');
+}
+
+/** Stored health check settings with defaults filled in and invalid values dropped. */
+export function normalizeHealthSettings(settings = {}) {
+    const result = { ...DEFAULT_HEALTH_SETTINGS };
+    try {
+        if (/^https?:$/.test(new URL(settings.url).protocol)) result.url = settings.url;
+    } catch { }
+    const interval = Number(settings.intervalMinutes);
+    if (Number.isFinite(interval) && interval >= 1) result.intervalMinutes = Math.round(interval);
+    if (settings.failover in FAILOVER_MODES) result.failover = settings.failover;
+    return result;
+}
+
+/** "host:port" of a proxy, the key health history is kept under. */
+export const proxyKey = proxy => (proxy ? `${proxy.host}:${proxy.port}` : null);
+
+/**
+ * Add a check `{ at, ok, latency, error, auth }` to the health state of `proxy` ("host:port").
+ * A check of another proxy starts a new history. The state is
+ * { proxy, status: 'ok' | 'slow' | 'auth' | 'fail', failures, lastCheck, latency, error, history }
+ * where failures counts consecutive failed checks.
+ */
+export function recordCheck(state, proxy, check) {
+    const previous = state?.proxy === proxy ? state : { history: [] };
+    const failures = check.ok ? 0 : (previous.failures || 0) + 1;
+    let status = 'ok';
+    if (!check.ok) status = check.auth ? 'auth' : 'fail';
+    else if (check.latency > SLOW_LATENCY_MS) status = 'slow';
+    return {
+        ...previous,
+        proxy,
+        status,
+        failures,
+        lastCheck: check.at,
+        latency: check.ok ? check.latency : null,
+        error: check.ok ? null : check.error,
+        history: [...previous.history, check].slice(-HEALTH_HISTORY)
+    };
+}
+
+/** Whether `proxy` ("host:port") has been down long enough for failover to kick in. */
+export function isFailingOver(state, settings, proxy) {
+    return settings.failover !== 'none' && state?.proxy === proxy && state.failures >= FAILURE_THRESHOLD;
+}
+
+/**
+ * Main proxy config to route with while failing over: the fallbacks without the
+ * failed primary, or nothing at all (DIRECT). Unchanged when not failing over.
+ */
+export function failoverConfig(proxyConfig, mode) {
+    if (mode === 'direct') return '';
+    if (mode === 'fallback') return parseProxyConfig(proxyConfig).slice(1).map(p => formatProxyEntry(p)).join(', ');
+    return proxyConfig;
+}
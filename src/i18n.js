@@ -0,0 +1,92 @@
+// UI strings from public/_locales through chrome.i18n, plus locale-aware formatting.
+// chrome.i18n always follows the browser language, so when a language is picked by
+// hand (uiLanguage in chrome.storage.local) its messages.json is loaded instead.
+// chrome.* is only touched once the functions are called, so modules that throw
+// LocalizedError stay loadable in Node.
+
+// Languages with a _locales folder; 'auto' follows the browser
+export const LANGUAGES = ['auto', 'en', 'ru'];
+
+// Languages ip-api.com can name countries in
+const COUNTRY_LANGUAGES = ['en', 'de', 'es', 'pt-BR', 'fr', 'ja', 'zh-CN', 'ru'];
+
+let override = null; // { language, messages } while a language is picked by hand
+
+/**
+ * An error whose text is a message: pure modules throw it without knowing the
+ * language, callers show it with errorText().
+ */
+export class LocalizedError extends Error {
+    constructor(key, ...args) {
+        super(key);
+        this.name = 'LocalizedError';
+        this.key = key;
+        this.args = args;
+    }
+}
+
+/** Load the picked language; call before the first t() and after uiLanguage changes. */
+export async function initI18n() {
+    const { uiLanguage } = await chrome.storage.local.get('uiLanguage');
+    override = null;
+    if (!LANGUAGES.includes(uiLanguage) || uiLanguage === 'auto') return;
+    try {
+        const response = await fetch(chrome.runtime.getURL(`_locales/${uiLanguage}/messages.json`));
+        override = { language: uiLanguage, messages: await response.json() };
+    } catch (e) {
+        console.warn(`[i18n] Cannot load ${uiLanguage}, using the browser language:`, e);
+    }
+}
+
+// $1…$9 are substitutions and $$ is a dollar sign, as in chrome.i18n
+function substitute(message, args) {
+    return message.replace(/\$(\$|[1-9])/g, (_, n) => (n === '$' ? '$' : args[n - 1] ?? ''));
+}
+
+/** The message `key` with $1…$9 replaced by `args`; the key itself if there is none. */
+export function t(key, ...args) {
+    const substitutions = args.map(String);
+    if (override) {
+        const entry = override.messages[key];
+        return entry ? substitute(entry.message, substitutions) : key;
+    }
+    return chrome.i18n.getMessage(key, substitutions) || key;
+}
+
+/** Text of an error, translated if it is a LocalizedError. */
+export function errorText(error) {
+    return error?.key ? t(error.key, ...error.args) : String(error?.message ?? error);
+}
+
+/** BCP 47 tag of the UI language, for Intl formatting. */
+export function uiLocale() {
+    return override?.language || chrome.i18n.getUILanguage();
+}
+
+/** Language for ip-api.com country names: the UI language if it has one, English otherwise. */
+export function countryLanguage() {
+    const locale = uiLocale();
+    return COUNTRY_LANGUAGES.find(l => l === locale) || COUNTRY_LANGUAGES.find(l => l === locale.split('-')[0]) || 'en';
+}
+
+export const formatDateTime = ts => new Date(ts).toLocaleString(uiLocale());
+export const formatTime = ts => new Date(ts).toLocaleTimeString(uiLocale(), { hour: '2-digit', minute: '2-digit' });
+export const formatDate = ts => new Date(ts).toLocaleDateString(uiLocale(), { day: 'numeric', month: 'short' });
+export const formatNumber = n => new Intl.NumberFormat(uiLocale()).format(n);
+
+/** A byte count in KB, MB or GB with the locale's digits and unit names. */
+export function formatBytes(bytes) {
+    const units = ['byte', 'kilobyte', 'megabyte', 'gigabyte'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return new Intl.NumberFormat(uiLocale(), {
+        style: 'unit',
+        unit: units[unit],
+        unitDisplay: 'short',
+        maximumFractionDigits: unit < 2 ? 0 : 1
+    }).format(value);
+}
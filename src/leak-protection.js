@@ -0,0 +1,53 @@
+// WebRTC and DNS leak protection while the proxy is on, and the status shown in the popup.
+// Kept free of chrome.* APIs; the service worker applies the browser setting.
+
+export const DEFAULT_LEAK_PROTECTION = { webrtc: false, dns: false };
+
+// webRTCIPHandlingPolicy that keeps WebRTC from sending UDP around the proxy
+export const WEBRTC_POLICY = 'disable_non_proxied_udp';
+
+/** Stored settings with defaults filled in. */
+export function normalizeLeakProtection(settings = {}) {
+    return {
+        webrtc: Boolean(settings.webrtc ?? DEFAULT_LEAK_PROTECTION.webrtc),
+        dns: Boolean(settings.dns ?? DEFAULT_LEAK_PROTECTION.dns)
+    };
+}
+
+/**
+ * What protects the real IP and DNS right now, as [{ kind: 'webrtc' | 'dns', ok, key, args }]
+ * where key and args make the message shown in the popup.
+ *  - webrtc: the browser setting as read back, { value, levelOfControl }, or null if unavailable;
+ *  - proxies: every proxy the PAC script sends hosts to;
+ *  - directFailover: the main rules go DIRECT because the primary proxy fails its checks.
+ * SOCKS5 and HTTP(S) proxies get the host name and resolve it themselves; SOCKS4 can't,
+ * so Chrome resolves it locally, as it does for any DIRECT fallback.
+ */
+export function describeLeakStatus(settings, { webrtc = null, proxies = [], directFailover = false } = {}) {
+    const status = [];
+
+    if (!settings.webrtc) {
+        status.push({ kind: 'webrtc', ok: false, key: 'leakWebrtcOff', args: [] });
+    } else if (!webrtc) {
+        status.push({ kind: 'webrtc', ok: false, key: 'leakWebrtcUnavailable', args: [] });
+    } else if (webrtc.levelOfControl === 'controlled_by_other_extensions') {
+        status.push({ kind: 'webrtc', ok: false, key: 'leakWebrtcOtherExtension', args: [] });
+    } else if (webrtc.levelOfControl === 'not_controllable') {
+        status.push({ kind: 'webrtc', ok: false, key: 'leakWebrtcPolicy', args: [] });
+    } else {
+        const ok = webrtc.value === WEBRTC_POLICY;
+        status.push({ kind: 'webrtc', ok, key: ok ? 'leakWebrtcOk' : 'leakWebrtcNotApplied', args: [] });
+    }
+
+    const socks4 = proxies.filter(p => p.scheme === 'socks4').map(p => `${p.host}:${p.port}`);
+    if (!settings.dns) {
+        status.push({ kind: 'dns', ok: false, key: 'leakDnsOff', args: [] });
+    } else if (directFailover) {
+        status.push({ kind: 'dns', ok: false, key: 'leakDnsFailover', args: [] });
+    } else if (socks4.length) {
+        status.push({ kind: 'dns', ok: false, key: 'leakDnsSocks4', args: [[...new Set(socks4)].join(', ')] });
+    } else {
+        status.push({ kind: 'dns', ok: true, key: 'leakDnsOk', args: [] });
+    }
+    return status;
+}
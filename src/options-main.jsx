@@ -0,0 +1,16 @@
+import React from 'react'
+import ReactDOM from 'react-dom/client'
+import Options from './Options.jsx'
+import { initI18n, uiLocale, t } from './i18n.js'
+import './index.css'
+
+// Выбранный вручную язык загружается до первой отрисовки
+initI18n().then(() => {
+    document.documentElement.lang = uiLocale()
+    document.title = t('optionsTitle')
+    ReactDOM.createRoot(document.getElementById('root')).render(
+        <React.StrictMode>
+            <Options />
+        </React.StrictMode>,
+    )
+})
@@ -0,0 +1,191 @@
+// PAC script generation. Kept free of chrome.* APIs so it can be tested in Node.
+import { buildProxyChain } from './proxy-config.js';
+
+const RULE_TYPES = ['domain', 'full', 'keyword', 'regexp'];
+
+// Trie key holding the value of a domain that also has more specific entries below it.
+// Host labels never contain a dot, so it can't collide with a label.
+const SELF = '.';
+
+const hasOwn = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+// True when every value stored in the subtree equals `value`
+function isUniform(node, value) {
+    return typeof node === 'number'
+        ? node === value
+        : Object.keys(node).every(key => isUniform(node[key], value));
+}
+
+/**
+ * Add domains to a trie of reversed domain labels: "mail.google.com" -> com → google → mail.
+ * A number in place of a subtree is the value for that domain and all its subdomains,
+ * so most lookups stop at the first number. A domain that also has more specific
+ * entries with other values keeps its own value under SELF; the longest suffix wins.
+ * Domains already covered by a shorter suffix with the same value are not stored,
+ * and for the same domain the first value added wins.
+ */
+export function buildDomainTrie(sites, value = 0, root = {}) {
+    for (const site of sites) {
+        const labels = String(site).trim().toLowerCase().replace(/^\.+|\.+$/g, '').split('.');
+        if (!labels[0]) continue;
+
+        let node = root;
+        for (let i = labels.length - 1; i >= 0; i--) {
+            const label = labels[i];
+            const child = hasOwn(node, label) ? node[label] : undefined;
+            if (i === 0) {
+                if (child === undefined || (typeof child === 'object' && !hasOwn(child, SELF) && isUniform(child, value))) {
+                    node[label] = value;
+                } else if (typeof child === 'object' && !hasOwn(child, SELF)) {
+                    child[SELF] = value;
+                }
+                break;
+            }
+            if (child === value) break;
+            if (typeof child === 'number') node[label] = { [SELF]: child };
+            else if (child === undefined) node[label] = {};
+            node = node[label];
+        }
+    }
+    return root;
+}
+
+/**
+ * Keep only patterns that compile as JavaScript RegExp.
+ * geosite.dat is written for Go's RE2, and a few of its features (e.g. "(?i)") are not valid here.
+ */
+function compilableRegexps(patterns) {
+    return patterns.filter((pattern) => {
+        try {
+            new RegExp(pattern);
+            return true;
+        } catch {
+            console.warn('[PAC] Skipping invalid regexp rule:', pattern);
+            return false;
+        }
+    });
+}
+
+/**
+ * The name probes use for `host`: the same host written as a fully qualified name,
+ * with a trailing dot. Pages never link to it that way, so the probe route pinned
+ * to it catches the probe requests only, and the host itself keeps its usual route.
+ */
+export function probeHostName(host) {
+    return `${host.toLowerCase().replace(/\.+$/, '')}.`;
+}
+
+/** Total number of rules in a { domain, full, keyword, regexp } set. */
+export function countRules(rules) {
+    return RULE_TYPES.reduce((n, key) => n + (rules[key] || []).length, 0);
+}
+
+/** Concatenate { domain, full, keyword, regexp } rule sets. */
+export function mergeRules(...sets) {
+    const merged = { domain: [], full: [], keyword: [], regexp: [] };
+    for (const rules of sets) {
+        for (const key of RULE_TYPES) {
+            if (rules && rules[key]) merged[key].push(...rules[key]);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Build the PAC script for rule groups, each `{ rules, proxies }`: hosts matched by
+ * a group's rules get its proxies as a fallback chain (see parseProxyConfig), or
+ * DIRECT when the list is empty. Rules are matched the way v2ray does:
+ *  - full: exact host match;
+ *  - domain: the domain itself and its subdomains (trie of reversed labels,
+ *    O(number of labels in host) per lookup instead of a scan over every site),
+ *    the longest matching suffix wins;
+ *  - keyword: substring of host;
+ *  - regexp: RegExp tested against host.
+ * Types are checked in that order; within a type, earlier groups win ties.
+ *
+ * Exclusions `{ domains, nets, plainHostNames }` (see parseExclusions) are checked
+ * before any group and always go DIRECT: domains with their subdomains, IPv4 hosts
+ * within the [address, mask] nets and, if set, dotless host names. isInNet only
+ * runs on IP literals, so no DNS lookup is made.
+ *
+ * Probe hosts `{ hosts, proxies }` (the health check URL, hosts being retested) are
+ * matched as their probeHostName, right after the exclusions, and go only through the
+ * probe proxies, without the DIRECT fallback: a probe that quietly went DIRECT would
+ * report a dead proxy as healthy.
+ *
+ * Without `directFallback`, group chains end at their last proxy too, so a proxied
+ * host is never resolved and opened locally when its proxies are down.
+ */
+export function buildPacScript(groups, exclusions = {}, probe = null, { directFallback = true } = {}) {
+    const results = [];
+    const trie = {};
+    const full = {};
+    const keywords = [];
+    const regexps = [];
+
+    groups.forEach(({ rules, proxies }, index) => {
+        results.push(buildProxyChain(proxies, { direct: directFallback || !proxies.length }));
+        buildDomainTrie(rules.domain || [], index, trie);
+        for (const host of rules.full || []) {
+            const key = host.toLowerCase();
+            if (!hasOwn(full, key)) full[key] = index;
+        }
+        for (const keyword of rules.keyword || []) keywords.push([keyword.toLowerCase(), index]);
+        for (const pattern of compilableRegexps(rules.regexp || [])) regexps.push([pattern, index]);
+    });
+
+    return `
+    var PROBE_HOSTS = ${JSON.stringify(Object.fromEntries((probe?.hosts || []).map(h => [probeHostName(h), true])))};
+    var PROBE_RESULT = ${JSON.stringify(probe ? buildProxyChain(probe.proxies, { direct: false }) : null)};
+    var EXCLUDE = ${JSON.stringify(buildDomainTrie(exclusions.domains || []))};
+    var EXCLUDE_NETS = ${JSON.stringify(exclusions.nets || [])};
+    var EXCLUDE_PLAIN = ${Boolean(exclusions.plainHostNames)};
+    var IPV4 = /^\\d{1,3}(\\.\\d{1,3}){3}$/;
+    var RESULTS = ${JSON.stringify(results)};
+    var TRIE = ${JSON.stringify(trie)};
+    var FULL = ${JSON.stringify(full)};
+    var KEYWORDS = ${JSON.stringify(keywords)};
+    var REGEXPS = ${JSON.stringify(regexps)}.map(function (r) { return [new RegExp(r[0]), r[1]]; });
+    var hasOwn = Object.prototype.hasOwnProperty;
+    function matchDomain(trie, host) {
+      var labels = host.split('.');
+      var node = trie;
+      var found = -1;
+      for (var i = labels.length - 1; i >= 0; i--) {
+        if (!hasOwn.call(node, labels[i])) break;
+        node = node[labels[i]];
+        if (typeof node === 'number') return node;
+        if (hasOwn.call(node, '${SELF}')) found = node['${SELF}'];
+      }
+      return found;
+    }
+    function matchRules(host) {
+      if (hasOwn.call(FULL, host)) return FULL[host];
+      var group = matchDomain(TRIE, host);
+      if (group !== -1) return group;
+      for (var i = 0; i < KEYWORDS.length; i++) {
+        if (host.indexOf(KEYWORDS[i][0]) !== -1) return KEYWORDS[i][1];
+      }
+      for (var j = 0; j < REGEXPS.length; j++) {
+        if (REGEXPS[j][0].test(host)) return REGEXPS[j][1];
+      }
+      return -1;
+    }
+    function isExcluded(host) {
+      if (EXCLUDE_PLAIN && isPlainHostName(host)) return true;
+      if (matchDomain(EXCLUDE, host) !== -1) return true;
+      if (!IPV4.test(host)) return false;
+      for (var i = 0; i < EXCLUDE_NETS.length; i++) {
+        if (isInNet(host, EXCLUDE_NETS[i][0], EXCLUDE_NETS[i][1])) return true;
+      }
+      return false;
+    }
+    function FindProxyForURL(url, host) {
+      host = host.toLowerCase();
+      if (isExcluded(host)) return "DIRECT";
+      if (hasOwn.call(PROBE_HOSTS, host)) return PROBE_RESULT;
+      var group = matchRules(host);
+      return group === -1 ? "DIRECT" : RESULTS[group];
+    }
+  `;
+}
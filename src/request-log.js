@@ -0,0 +1,47 @@
+// Per-tab log of requested hosts and how they were routed.
+// Kept free of chrome.* APIs: the service worker fills it, the popup shows and exports it.
+
+// Hosts kept per tab; the least recently seen are dropped first
+export const LOG_LIMIT = 200;
+
+/**
+ * Add a request `{ host, at, proxied, target, rule, chain, error, statusCode }` to a tab's
+ * log. The log has one entry per host, most recently seen last:
+ * { host, count, errors, proxied, target, rule, chain, error, statusCode, firstAt, lastAt }
+ * where routing fields and error describe the latest request. Returns a new array.
+ */
+export function addLogEntry(entries, request, limit = LOG_LIMIT) {
+    const previous = entries.find(e => e.host === request.host);
+    const { at, ...latest } = request;
+    const entry = {
+        ...latest,
+        count: (previous?.count || 0) + 1,
+        errors: (previous?.errors || 0) + (request.error ? 1 : 0),
+        firstAt: previous?.firstAt ?? at,
+        lastAt: at
+    };
+    const rest = entries.filter(e => e !== previous);
+    return [...rest.slice(Math.max(0, rest.length - limit + 1)), entry];
+}
+
+/** Hosts whose latest request failed without a proxy: candidates for the proxy list. */
+export function failedDirectHosts(entries) {
+    return entries.filter(e => e.error && !e.proxied && e.rule?.kind !== 'exclusion').map(e => e.host);
+}
+
+const CSV_COLUMNS = ['host', 'count', 'errors', 'proxied', 'target', 'rule', 'chain', 'error', 'statusCode', 'firstAt', 'lastAt'];
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** The log as CSV with a header row; the rule is written as "kind:name", times as ISO. */
+export function logToCsv(entries) {
+    const rows = entries.map(e => CSV_COLUMNS.map((column) => {
+        if (column === 'rule') return csvField(e.rule ? `${e.rule.kind}:${e.rule.name}` : '');
+        if (column === 'firstAt' || column === 'lastAt') return csvField(new Date(e[column]).toISOString());
+        return csvField(e[column]);
+    }).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
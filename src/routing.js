@@ -0,0 +1,209 @@
+// Routing of rules to proxy profiles. Shared by the service worker and the popup.
+import { parseProxyConfig } from './proxy-config.js';
+import { mergeRules, countRules } from './pac.js';
+
+// Route target that sends matching hosts past the proxy
+export const DIRECT = 'DIRECT';
+
+// Route target of the main proxy from the "proxyConfig" setting. Rules without
+// an explicit route, or routed to a profile that no longer exists, use it.
+export const DEFAULT_PROFILE = '';
+
+// Loopback, RFC 1918 and link-local ranges skipped by the local network bypass
+const PRIVATE_NETS = ['127.0.0.0/8', '10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', '169.254.0.0/16'];
+const LOCAL_DOMAINS = ['localhost', 'local'];
+
+const CIDR = /^(\d{1,3}(?:\.\d{1,3}){3})(?:\/(\d{1,2}))?$/;
+
+/**
+ * Parse an IPv4 address or CIDR range ("10.0.0.0/8", "192.168.1.5") into the
+ * [address, mask] pair isInNet expects. Returns null for anything else.
+ */
+export function parseCidr(entry) {
+    const match = CIDR.exec(entry.trim());
+    if (!match) return null;
+    const octets = match[1].split('.').map(Number);
+    const bits = match[2] === undefined ? 32 : Number(match[2]);
+    if (octets.some(o => o > 255) || bits > 32) return null;
+
+    const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+    const maskOctets = [24, 16, 8, 0].map(shift => (mask >>> shift) & 255);
+    return [octets.map((o, i) => o & maskOctets[i]).join('.'), maskOctets.join('.')];
+}
+
+/**
+ * Split the never-proxy list into domains and IPv4 nets for buildPacScript.
+ * With bypassLocal, plain host names, localhost, *.local and private networks
+ * are excluded as well.
+ */
+export function parseExclusions(entries = [], bypassLocal = false) {
+    const domains = [];
+    const nets = [];
+    for (const entry of [...entries, ...(bypassLocal ? PRIVATE_NETS : [])]) {
+        const net = parseCidr(entry);
+        if (net) nets.push(net);
+        else if (entry.trim()) domains.push(entry.trim().toLowerCase());
+    }
+    if (bypassLocal) domains.push(...LOCAL_DOMAINS);
+    return { domains, nets, plainHostNames: bypassLocal };
+}
+
+/**
+ * Proxy list for a route target: [] for DIRECT, the profile's proxies for
+ * a named profile, the main proxy config otherwise.
+ */
+export function resolveTarget(target, { proxyConfig, profiles = [] }) {
+    if (target === DIRECT) return [];
+    const profile = profiles.find(p => p.name === target);
+    return parseProxyConfig(profile ? profile.config : proxyConfig);
+}
+
+/** Every proxy of the main config and of all profiles, for answering auth challenges. */
+export function collectProxies({ proxyConfig, profiles = [] }) {
+    return [
+        ...parseProxyConfig(proxyConfig),
+        ...profiles.flatMap(p => parseProxyConfig(p.config))
+    ];
+}
+
+/**
+ * Group rules by route target into `{ target, rules, proxies, sources }` for buildPacScript.
+ *  - geoRules: { CATEGORY: { domain, full, keyword, regexp } } from parseGeoSite;
+ *  - sites: manual sites, matched as "domain:" rules (domain and subdomains);
+ *  - routes: { categories: { CATEGORY: target }, sites: { site: target } };
+ *  - learned: hosts found blocked (see blocked-hosts.js), "domain:" rules on the main proxy.
+ * `sources` lists the `{ kind: 'site' | 'category' | 'learned', name, rules }` merged into the group.
+ * Manual site groups come first so they win ties with geosite rules. Groups routed
+ * to a profile without a usable proxy are left out.
+ */
+export function buildRuleGroups({ geoRules = {}, sites = [], routes = {}, proxyConfig, profiles = [], learned = [] }) {
+    const sources = [
+        ...sites.map(site => ({ kind: 'site', name: site, rules: { domain: [site] }, target: routes.sites?.[site] })),
+        ...Object.entries(geoRules).map(([name, rules]) => ({ kind: 'category', name, rules, target: routes.categories?.[name] })),
+        ...learned.map(host => ({ kind: 'learned', name: host, rules: { domain: [host] } }))
+    ];
+
+    const grouped = new Map();
+    for (const { target = DEFAULT_PROFILE, ...source } of sources) {
+        const key = `${source.kind}:${target}`;
+        if (!grouped.has(key)) grouped.set(key, { target, sources: [] });
+        grouped.get(key).sources.push(source);
+    }
+
+    const groups = [];
+    for (const { target, sources } of grouped.values()) {
+        const proxies = resolveTarget(target, { proxyConfig, profiles });
+        if (target !== DIRECT && !proxies.length) continue;
+        const rules = mergeRules(...sources.map(s => s.rules));
+        if (countRules(rules)) groups.push({ target, rules, proxies, sources });
+    }
+    return groups;
+}
+
+/**
+ * Manual sites already covered by a selected geosite category with the same route:
+ * returns Map(site => category). A category covers a site when one of its "domain"
+ * rules is the site or a parent of it, or a keyword occurs in it — then every
+ * subdomain matches too. "full" and "regexp" rules cover single hosts only.
+ */
+export function findRedundantSites({ geoRules = {}, sites = [], routes = {} }) {
+    const domains = new Map();
+    const keywords = [];
+    for (const [name, rules] of Object.entries(geoRules)) {
+        for (const value of rules.domain || []) {
+            const key = value.trim().toLowerCase();
+            if (!domains.has(key)) domains.set(key, name);
+        }
+        for (const value of rules.keyword || []) keywords.push([value.toLowerCase(), name]);
+    }
+
+    const routeOf = (kind, key) => routes[kind]?.[key] ?? DEFAULT_PROFILE;
+    const redundant = new Map();
+    for (const site of sites) {
+        const host = site.toLowerCase();
+        const labels = host.split('.');
+        const candidates = [
+            ...labels.map((_, i) => domains.get(labels.slice(i).join('.'))),
+            ...keywords.filter(([keyword]) => host.includes(keyword)).map(([, name]) => name)
+        ];
+        const category = candidates.find(name => name && routeOf('categories', name) === routeOf('sites', site));
+        if (category) redundant.set(site, category);
+    }
+    return redundant;
+}
+
+function ipToNumber(ip) {
+    return ip.split('.').reduce((n, octet) => ((n << 8) | Number(octet)) >>> 0, 0);
+}
+
+const IPV4 = /^\d{1,3}(\.\d{1,3}){3}$/;
+
+/**
+ * Explain how the generated PAC routes a host, without evaluating the PAC itself
+ * (extension pages can't run it). Takes the same groups and exclusions as
+ * buildPacScript and follows the same order; returns host => {
+ *   proxies,              // [] when the host goes DIRECT
+ *   target,               // route target of the matched group, null if excluded or unmatched
+ *   rule                  // { kind: 'exclusion' | 'site' | 'category', name, type, value } or null
+ * }.
+ */
+export function createRouteMatcher(groups, exclusions = {}) {
+    const full = new Map();
+    const domains = new Map();
+    const keywords = [];
+    const regexps = [];
+
+    groups.forEach((group, index) => {
+        for (const source of group.sources) {
+            const match = (type, value) => ({ index, rule: { kind: source.kind, name: source.name, type, value } });
+            for (const value of source.rules.full || []) {
+                const key = value.toLowerCase();
+                if (!full.has(key)) full.set(key, match('full', value));
+            }
+            for (const value of source.rules.domain || []) {
+                const key = value.trim().toLowerCase().replace(/^\.+|\.+$/g, '');
+                if (key && !domains.has(key)) domains.set(key, match('domain', value));
+            }
+            for (const value of source.rules.keyword || []) keywords.push([value.toLowerCase(), match('keyword', value)]);
+            for (const value of source.rules.regexp || []) {
+                try {
+                    regexps.push([new RegExp(value), match('regexp', value)]);
+                } catch { }
+            }
+        }
+    });
+
+    const excludedDomains = new Set(exclusions.domains || []);
+    const excludedNets = (exclusions.nets || []).map(([address, mask]) => [ipToNumber(address), ipToNumber(mask), `${address}/${mask}`]);
+
+    // Host and its parent domains, longest first, like the trie walk
+    const suffixes = (host) => host.split('.').map((_, i, labels) => labels.slice(i).join('.'));
+
+    const excluded = (host) => {
+        if (exclusions.plainHostNames && !host.includes('.')) return host;
+        const domain = suffixes(host).find(d => excludedDomains.has(d));
+        if (domain) return domain;
+        if (!IPV4.test(host)) return null;
+        const ip = ipToNumber(host);
+        const net = excludedNets.find(([address, mask]) => ((ip & mask) >>> 0) === ((address & mask) >>> 0));
+        return net ? net[2] : null;
+    };
+
+    return (rawHost) => {
+        const host = rawHost.toLowerCase();
+        const exclusion = excluded(host);
+        if (exclusion) {
+            return { proxies: [], target: null, rule: { kind: 'exclusion', name: exclusion, type: 'domain', value: exclusion } };
+        }
+
+        const domain = suffixes(host).find(d => domains.has(d));
+        const found = full.get(host)
+            || (domain && domains.get(domain))
+            || keywords.find(([keyword]) => host.includes(keyword))?.[1]
+            || regexps.find(([regexp]) => regexp.test(host))?.[1];
+        if (!found) return { proxies: [], target: null, rule: null };
+
+        const group = groups[found.index];
+        return { proxies: group.proxies, target: group.target, rule: found.rule };
+    };
+}
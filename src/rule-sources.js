@@ -0,0 +1,260 @@
+// Rule sources: where domain rules come from and how each format is parsed.
+// Shared by the service worker and the options page.
+import { createGeoSiteParser } from './geosite-parser.js';
+import { parseRuleList } from './config-io.js';
+import { normalizeHost, isHostName } from './domains.js';
+import { countRules } from './pac.js';
+import { LocalizedError } from './i18n.js';
+
+// The geosite.dat source that ships with the extension. It can be disabled and
+// its mirrors edited, but not removed; its categories are picked in the popup.
+export const BUILTIN_SOURCE_ID = 'geosite';
+
+export const DEFAULT_UPDATE_HOURS = 6;
+
+export const BUILTIN_SOURCE = {
+    id: BUILTIN_SOURCE_ID,
+    name: 'runetfreedom',
+    format: 'geosite',
+    urls: [
+        'https://raw.githubusercontent.com/runetfreedom/russia-v2ray-rules-dat/release/geosite.dat',
+        'https://ghfast.top/https://raw.githubusercontent.com/runetfreedom/russia-v2ray-rules-dat/release/geosite.dat',
+        'https://raw.githubusercontents.com/runetfreedom/russia-v2ray-rules-dat/release/geosite.dat'
+    ],
+    updateHours: DEFAULT_UPDATE_HOURS,
+    enabled: true
+};
+
+// Supported formats and the message keys of their names
+export const SOURCE_FORMATS = {
+    geosite: 'formatGeosite',
+    list: 'formatList',
+    gfwlist: 'formatGfwlist',
+    clash: 'formatClash',
+    singbox: 'formatSingbox'
+};
+
+/**
+ * The stored source list with the built-in source always present and first.
+ * Sources are { id, name, format, urls, updateHours, enabled, categories? };
+ * a source without URLs is filled from an uploaded file.
+ */
+export function withBuiltinSource(sources = []) {
+    const builtin = sources.find(s => s.id === BUILTIN_SOURCE_ID);
+    return [{ ...BUILTIN_SOURCE, ...builtin }, ...sources.filter(s => s.id !== BUILTIN_SOURCE_ID)];
+}
+
+/**
+ * Category name a source's rules are routed under. The built-in source keeps the
+ * geosite names, other geosite files are prefixed with the source name, and a
+ * list source is a single category named after the source.
+ */
+export function sourceCategoryName(source, category) {
+    if (source.id === BUILTIN_SOURCE_ID) return category;
+    return source.format === 'geosite' ? `${source.name}:${category}` : source.name;
+}
+
+/**
+ * Whether `name` can name a new source. Category names are built from it (see
+ * sourceCategoryName), so it has no colon and matches neither another source,
+ * ignoring case, nor a category of the built-in geosite.dat.
+ */
+export function isSourceNameFree(name, sources, builtinCategories = []) {
+    if (!name || name.includes(':')) return false;
+    const lower = name.toLowerCase();
+    const taken = candidate => candidate.toLowerCase() === lower;
+    return !sources.some(s => taken(s.name)) && !builtinCategories.some(taken);
+}
+
+const emptyRules = () => ({ domain: new Set(), full: new Set(), keyword: new Set(), regexp: new Set() });
+
+const toLists = rules => Object.fromEntries(Object.entries(rules).map(([type, values]) => [type, [...values]]));
+
+/**
+ * Plain domain list, one entry per line: a domain or URL (domain and subdomains),
+ * or a v2ray-style typed rule "domain:", "full:", "keyword:", "regexp:".
+ * "#" and "//" start comments; v2ray attributes after the value are ignored.
+ */
+export function parseDomainList(text) {
+    const rules = emptyRules();
+    for (const raw of text.split(/\r?\n/)) {
+        const line = raw.trim();
+        if (!line || line.startsWith('#') || line.startsWith('//')) continue;
+        const typed = /^(domain|full|keyword|regexp):(\S+)/.exec(line);
+        if (typed) {
+            rules[typed[1]].add(typed[1] === 'regexp' ? typed[2] : typed[2].toLowerCase());
+            continue;
+        }
+        const host = normalizeHost(line.split(/\s/)[0]);
+        if (isHostName(host)) rules.domain.add(host);
+    }
+    return toLists(rules);
+}
+
+/** GFWList / AutoProxy rules, plain or base64. "@@" exceptions are not proxy rules and are dropped. */
+export function parseGfwList(text) {
+    return { domain: parseRuleList(text).sites, full: [], keyword: [], regexp: [] };
+}
+
+const CLASH_TYPES = { 'DOMAIN-SUFFIX': 'domain', DOMAIN: 'full', 'DOMAIN-KEYWORD': 'keyword', 'DOMAIN-REGEX': 'regexp' };
+
+/**
+ * Clash rule provider, YAML ("payload:" list) or text. Understands both the
+ * "domain" behavior ("+.example.com", "*.example.com", "example.com") and the domain rules of the
+ * "classical" behavior ("DOMAIN-SUFFIX,example.com"); IP and process rules are skipped.
+ */
+export function parseClashRuleSet(text) {
+    const rules = emptyRules();
+    for (const raw of text.split(/\r?\n/)) {
+        const entry = raw.trim().replace(/^-\s*/, '').replace(/^(['"])(.*)\1$/, '$2').trim();
+        if (!entry || entry.startsWith('#') || /^payload:/.test(entry)) continue;
+
+        const comma = entry.indexOf(',');
+        if (comma !== -1) {
+            const type = CLASH_TYPES[entry.slice(0, comma).trim().toUpperCase()];
+            const rest = entry.slice(comma + 1).trim();
+            if (type === 'regexp') rules.regexp.add(rest);
+            else if (type) rules[type].add(rest.split(',')[0].trim().toLowerCase());
+            continue;
+        }
+        // "+." and "." prefixes mean the domain with its subdomains, "*." exactly one
+        // subdomain level without the domain itself; a bare name is an exact match
+        const wildcard = /^\+?\./.test(entry);
+        const single = entry.startsWith('*.');
+        const host = entry.replace(/^(\+|\*)?\./, '').toLowerCase();
+        if (!isHostName(host)) continue;
+        if (single) rules.regexp.add(`^[^.]+\\.${host.replaceAll('.', '\\.')}$`);
+        else rules[wildcard ? 'domain' : 'full'].add(host);
+    }
+    return toLists(rules);
+}
+
+const SING_BOX_TYPES = { domain: 'full', domain_suffix: 'domain', domain_keyword: 'keyword', domain_regex: 'regexp' };
+
+/** sing-box source rule-set (JSON). Compiled .srs files have to be decompiled first. */
+export function parseSingBoxRuleSet(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new LocalizedError('errorSrsUnsupported');
+    }
+    const rules = emptyRules();
+    for (const rule of Array.isArray(data?.rules) ? data.rules : []) {
+        for (const [field, type] of Object.entries(SING_BOX_TYPES)) {
+            for (const value of [].concat(rule[field] ?? [])) {
+                const v = type === 'regexp' ? value : String(value).toLowerCase().replace(/^\./, '');
+                if (v) rules[type].add(v);
+            }
+        }
+    }
+    return toLists(rules);
+}
+
+const TEXT_PARSERS = {
+    list: parseDomainList,
+    gfwlist: parseGfwList,
+    clash: parseClashRuleSet,
+    singbox: parseSingBoxRuleSet
+};
+
+/**
+ * Parser for a source file that takes it chunk by chunk: { push(chunk), finish() }.
+ * finish() returns { rules: { CATEGORY: { domain, full, keyword, regexp } }, categories: [{ name, count }] }:
+ * the rules of the wanted categories under their routed names (see sourceCategoryName)
+ * and every category the file offers, under its own name. geosite.dat is parsed as
+ * it arrives; text formats are small and parsed once complete.
+ */
+export function createSourceParser(source, categories = source.categories || []) {
+    if (source.format === 'geosite') {
+        const parser = createGeoSiteParser(categories);
+        return {
+            push: parser.push,
+            finish() {
+                const parsed = parser.finish();
+                const rules = Object.fromEntries(
+                    Object.entries(parsed.rules).map(([name, r]) => [sourceCategoryName(source, name), r])
+                );
+                return { rules, categories: parsed.categories };
+            }
+        };
+    }
+
+    const parse = TEXT_PARSERS[source.format];
+    if (!parse) throw new LocalizedError('errorUnknownFormat', source.format);
+    const decoder = new TextDecoder();
+    const parts = [];
+    return {
+        push: chunk => parts.push(decoder.decode(chunk, { stream: true })),
+        finish() {
+            const rules = parse(parts.join('') + decoder.decode());
+            const count = countRules(rules);
+            return {
+                rules: count ? { [sourceCategoryName(source)]: rules } : {},
+                categories: [{ name: source.name, count }]
+            };
+        }
+    };
+}
+
+/** Parse a whole source file held in memory, see createSourceParser. */
+export function parseSource(source, bytes, categories) {
+    const parser = createSourceParser(source, categories);
+    parser.push(bytes);
+    return parser.finish();
+}
+
+/** Whether a source with URLs is due for an update check. */
+export function isSourceDue(source, state = {}, now = Date.now()) {
+    if (source.enabled === false || !source.urls?.length) return false;
+    const interval = (source.updateHours || DEFAULT_UPDATE_HOURS) * 3600 * 1000;
+    return !state.lastCheck || now - state.lastCheck >= interval;
+}
+
+/**
+ * Rules of all enabled sources in one { CATEGORY: rules } map for buildRuleGroups.
+ * storedRules is { id: { rules, categories } } as kept by rule-store.js. A category
+ * name is never shared: should two sources end up with the same one (say, added on
+ * two devices at once), the source listed first keeps it.
+ */
+export function mergeSourceRules(sources, storedRules = {}) {
+    const merged = {};
+    for (const source of sources) {
+        if (source.enabled === false) continue;
+        for (const [category, rules] of Object.entries(storedRules[source.id]?.rules || {})) {
+            if (!(category in merged)) merged[category] = rules;
+        }
+    }
+    return merged;
+}
+
+// A rule as written in v2ray domain lists: "example.com", "full:…", "keyword:…", "regexp:…"
+function ruleLines(rules = {}) {
+    return ['domain', 'full', 'keyword', 'regexp'].flatMap(type =>
+        (rules[type] || []).map(value => (type === 'domain' ? value : `${type}:${value}`)));
+}
+
+/**
+ * What changed between two parsed snapshots { rules: { CATEGORY: rules } } of a source:
+ * { changes: [{ category, added, removed }], skipped: [category] }. Only categories
+ * parsed in both are compared; the others were picked or dropped in between and
+ * are listed in skipped.
+ */
+export function diffSourceRules(previous, current) {
+    const before = previous?.rules || {};
+    const after = current?.rules || {};
+    const changes = [];
+    const skipped = [];
+    for (const category of [...new Set([...Object.keys(before), ...Object.keys(after)])].sort()) {
+        if (!before[category] || !after[category]) {
+            skipped.push(category);
+            continue;
+        }
+        const old = new Set(ruleLines(before[category]));
+        const now = new Set(ruleLines(after[category]));
+        const added = [...now].filter(line => !old.has(line));
+        const removed = [...old].filter(line => !now.has(line));
+        if (added.length || removed.length) changes.push({ category, added, removed });
+    }
+    return { changes, skipped };
+}
@@ -0,0 +1,196 @@
+// IndexedDB storage for rule source files and the rules parsed from them.
+// Shared by the service worker and the options page (same extension origin).
+// Raw files are kept in parts, so neither a download nor a re-parse needs the
+// whole ~60 MB geosite.dat in memory, and an interrupted download keeps what it got.
+// The same database holds the key proxy logins are encrypted with (see credentials.js).
+
+const DB_NAME = 'auto-proxy';
+const DB_VERSION = 3;
+
+// Size of the parts raw files are stored in
+export const PART_BYTES = 1024 * 1024;
+
+// Object stores:
+//  rules      sourceId -> { rules, categories }        parsed rules of the selected categories
+//  files      sourceId -> { fileId, size, fileName }   current raw file of a source
+//  parts      [fileId, index] -> Uint8Array
+//  downloads  sourceId -> { fileId, url, etag, received, parts, total }   unfinished download
+//  keys       name -> CryptoKey                        non-extractable keys (version 2)
+//  snapshots  sourceId -> { rules, categories, selected, file, state, savedAt }
+//             what the last update replaced, for a rollback (version 3); it owns file's parts
+const STORES = ['rules', 'files', 'parts', 'downloads', 'keys', 'snapshots'];
+
+let dbPromise = null;
+
+function openDb() {
+    dbPromise ??= new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            for (const name of STORES) {
+                if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+    return dbPromise;
+}
+
+// Run a request on one store; resolves with its result once the transaction commits
+async function withStore(name, mode, makeRequest) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(name, mode);
+        const request = makeRequest(tx.objectStore(name));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+const partRange = fileId => IDBKeyRange.bound([fileId, 0], [fileId, Infinity]);
+
+export const getRules = id => withStore('rules', 'readonly', s => s.get(id));
+export const putRules = (id, value) => withStore('rules', 'readwrite', s => s.put(value, id));
+export const getFile = id => withStore('files', 'readonly', s => s.get(id));
+export const getDownload = id => withStore('downloads', 'readonly', s => s.get(id));
+export const putDownload = (id, value) => withStore('downloads', 'readwrite', s => s.put(value, id));
+export const getKey = name => withStore('keys', 'readonly', s => s.get(name));
+export const putKey = (name, key) => withStore('keys', 'readwrite', s => s.put(key, name));
+export const getSnapshot = id => withStore('snapshots', 'readonly', s => s.get(id));
+export const putSnapshot = (id, value) => withStore('snapshots', 'readwrite', s => s.put(value, id));
+export const deleteParts = fileId => withStore('parts', 'readwrite', s => s.delete(partRange(fileId)));
+
+/** Parsed rules of every source: { id: { rules, categories } }. */
+export async function getAllRules() {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const all = {};
+        const tx = db.transaction('rules');
+        tx.objectStore('rules').openCursor().onsuccess = (e) => {
+            const cursor = e.target.result;
+            if (!cursor) return;
+            all[cursor.key] = cursor.value;
+            cursor.continue();
+        };
+        tx.oncomplete = () => resolve(all);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Feed the parts of a stored file to `onPart` in order. The cursor can't wait
+ * for other work, so onPart must be synchronous; an exception aborts the read.
+ */
+export async function readFile(fileId, onPart) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('parts');
+        const request = tx.objectStore('parts').openCursor(partRange(fileId));
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            try {
+                onPart(cursor.value);
+            } catch (e) {
+                tx.abort();
+                reject(e);
+                return;
+            }
+            cursor.continue();
+        };
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+export const newFileId = sourceId => `${sourceId}-${Date.now()}`;
+
+/**
+ * Collects chunks into PART_BYTES parts of `fileId`, continuing at part `index`
+ * after `stored` bytes. write() resolves to true when it stored a part.
+ */
+export function createPartWriter(fileId, index = 0, stored = 0) {
+    let chunks = [];
+    let size = 0;
+
+    async function flush() {
+        if (!size) return;
+        const part = new Uint8Array(size);
+        let position = 0;
+        for (const chunk of chunks) {
+            part.set(chunk, position);
+            position += chunk.length;
+        }
+        chunks = [];
+        size = 0;
+        await withStore('parts', 'readwrite', s => s.put(part, [fileId, index]));
+        index++;
+        stored += part.length;
+    }
+
+    return {
+        async write(chunk) {
+            chunks.push(chunk);
+            size += chunk.length;
+            if (size < PART_BYTES) return false;
+            await flush();
+            return true;
+        },
+        flush,
+        get parts() {
+            return index;
+        },
+        get stored() {
+            return stored;
+        }
+    };
+}
+
+/**
+ * Store a file picked on the options page under a new file id, part by part.
+ * Returns { fileId, size }; it becomes the source's file once it parses.
+ */
+export async function storeFile(sourceId, blob) {
+    const fileId = newFileId(sourceId);
+    const writer = createPartWriter(fileId);
+    for (let offset = 0; offset < blob.size; offset += PART_BYTES) {
+        await writer.write(new Uint8Array(await blob.slice(offset, offset + PART_BYTES).arrayBuffer()));
+    }
+    await writer.flush();
+    return { fileId, size: blob.size };
+}
+
+/**
+ * Make a stored file, or none, the current file of a source. The one it replaces
+ * is deleted unless keepPrevious, when a snapshot holds on to it.
+ */
+export async function setFile(id, file, { keepPrevious = false } = {}) {
+    const previous = await getFile(id);
+    await withStore('files', 'readwrite', s => (file ? s.put(file, id) : s.delete(id)));
+    if (previous && previous.fileId !== file?.fileId && !keepPrevious) await deleteParts(previous.fileId);
+}
+
+/** Forget an unfinished download, and its parts unless they became the current file. */
+export async function clearDownload(id, { keepParts = false } = {}) {
+    const download = await getDownload(id);
+    if (!download) return;
+    await withStore('downloads', 'readwrite', s => s.delete(id));
+    if (!keepParts) await deleteParts(download.fileId);
+}
+
+/** Remove everything stored for a source. */
+export async function deleteSource(id) {
+    await clearDownload(id);
+    const file = await getFile(id);
+    if (file) await deleteParts(file.fileId);
+    const snapshot = await getSnapshot(id);
+    if (snapshot?.file) await deleteParts(snapshot.file.fileId);
+    await withStore('files', 'readwrite', s => s.delete(id));
+    await withStore('rules', 'readwrite', s => s.delete(id));
+    await withStore('snapshots', 'readwrite', s => s.delete(id));
+}
@@ -0,0 +1,142 @@
+// chrome.storage.sync wrapper that spreads large values over several keys.
+// A single sync item is limited to QUOTA_BYTES_PER_ITEM, so a long "sites" list
+// (or many per-site routes) would fail to save once it grows past ~8 KB.
+
+// chrome.storage.sync quotas (bytes), as documented for Chrome
+export const SYNC_QUOTA_BYTES = 102400;
+export const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+
+// Values that may be sharded. Shard 0 keeps the plain key, so short lists are
+// stored exactly as before; shard N is "key.N" and "key.shards" holds the count.
+export const SHARDED_KEYS = ['sites', 'siteNotes', 'routes', 'directSites'];
+
+// Room left in each shard for Chrome's own accounting
+const SHARD_BYTES = SYNC_QUOTA_BYTES_PER_ITEM - 512;
+
+const encoder = new TextEncoder();
+
+/** Size of a sync item the way Chrome counts it: key plus JSON-encoded value. */
+export function itemBytes(key, value) {
+    return encoder.encode(key).length + encoder.encode(JSON.stringify(value)).length;
+}
+
+const shardKey = (key, index) => (index ? `${key}.${index}` : key);
+const countKey = key => `${key}.shards`;
+const isMap = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// Merge maps one level deep, so a nested map split over several shards comes back whole
+function mergeMaps(parts) {
+    const merged = {};
+    for (const part of parts) {
+        for (const [key, value] of Object.entries(part)) {
+            merged[key] = isMap(value) && isMap(merged[key]) ? { ...merged[key], ...value } : value;
+        }
+    }
+    return merged;
+}
+
+// Pieces of a map small enough for a shard: { key: value } per entry, and
+// { key: { innerKey: innerValue } } per entry of a nested map that is too big itself
+function mapPieces(value) {
+    return Object.entries(value).flatMap(([key, inner]) => (isMap(inner) && itemBytes(key, inner) > SHARD_BYTES / 2
+        ? Object.entries(inner).map(([innerKey, innerValue]) => ({ [key]: { [innerKey]: innerValue } }))
+        : [{ [key]: inner }]));
+}
+
+/**
+ * Split a list (or a map, by entries, and one level of nested maps such as
+ * routes.sites) into sync items that each fit the per-item quota.
+ * Returns { key: part0, 'key.1': part1, …, 'key.shards': n }, or { key: value } when it fits.
+ */
+export function splitShards(key, value) {
+    if (itemBytes(key, value) <= SHARD_BYTES) return { [key]: value };
+
+    const isList = Array.isArray(value);
+    const parts = [[]];
+    let size = 0;
+    for (const entry of isList ? value : mapPieces(value)) {
+        // Entry plus separator; the key and brackets fit in the margin
+        const bytes = encoder.encode(JSON.stringify(entry)).length + 1;
+        if (size + bytes > SHARD_BYTES - 64 && parts[parts.length - 1].length) {
+            parts.push([]);
+            size = 0;
+        }
+        parts[parts.length - 1].push(entry);
+        size += bytes;
+    }
+
+    const items = { [countKey(key)]: parts.length };
+    parts.forEach((part, index) => {
+        items[shardKey(key, index)] = isList ? part : mergeMaps(part);
+    });
+    return items;
+}
+
+/** Reassemble a value from sync items written by splitShards. */
+export function joinShards(key, items) {
+    if (items[key] === undefined) return undefined;
+    const count = items[countKey(key)] || 1;
+    const parts = [];
+    for (let index = 0; index < count; index++) {
+        if (items[shardKey(key, index)] !== undefined) parts.push(items[shardKey(key, index)]);
+    }
+    return Array.isArray(items[key]) ? parts.flat() : mergeMaps(parts);
+}
+
+/** Whether a storage.onChanged event touches any shard of `key`. */
+export function shardChanged(changes, key) {
+    return Object.keys(changes).some(k => k === key || k.startsWith(`${key}.`));
+}
+
+/** Total sync bytes `value` takes once sharded. */
+export function shardedBytes(key, value) {
+    return Object.entries(splitShards(key, value)).reduce((sum, [k, v]) => sum + itemBytes(k, v), 0);
+}
+
+/**
+ * Storage area with the get/set subset of chrome.storage.sync that shards the
+ * SHARDED_KEYS transparently. Other keys pass through unchanged.
+ */
+export function createShardedStorage(area, shardedKeys = SHARDED_KEYS) {
+    const isSharded = key => shardedKeys.includes(key);
+
+    return {
+        async get(keys) {
+            const list = [].concat(keys);
+            const plain = list.filter(k => !isSharded(k));
+            const result = plain.length ? await area.get(plain) : {};
+            if (list.some(isSharded)) {
+                const all = await area.get(null);
+                for (const key of list.filter(isSharded)) {
+                    const value = joinShards(key, all);
+                    if (value !== undefined) result[key] = value;
+                }
+            }
+            return result;
+        },
+
+        // Writes everything in one set() call, then drops shards the new value no longer uses.
+        // Quota errors reject the promise, so callers can report them.
+        async set(items) {
+            const writes = {};
+            const stale = [];
+            let existing = null;
+            for (const [key, value] of Object.entries(items)) {
+                if (!isSharded(key)) {
+                    writes[key] = value;
+                    continue;
+                }
+                existing ??= await area.get(null);
+                const shards = splitShards(key, value);
+                // A value that fits again still needs its count reset before stale shards go away
+                if (existing[countKey(key)] !== undefined && shards[countKey(key)] === undefined) {
+                    shards[countKey(key)] = 1;
+                }
+                Object.assign(writes, shards);
+                stale.push(...Object.keys(existing).filter(k => k.startsWith(`${key}.`) && !(k in shards)));
+            }
+            await area.set(writes);
+            if (stale.length) await area.remove(stale);
+        }
+    };
+}
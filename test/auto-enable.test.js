@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_AUTO_ENABLE,
+    isUnreachableError, parseTime, normalizeAutoEnable, inTimeWindow, probesNeeded,
+    decideEnabled, nextTimeChange, describeAutoRule
+} from '../src/auto-enable.js';
+
+// 2024-01-01 was a Monday
+const at = (day, hours, minutes = 0) => new Date(2024, 0, day, hours, minutes);
+
+const workHours = { id: 'a', type: 'time', days: [1, 2, 3, 4, 5], from: '09:00', to: '18:00', action: 'on' };
+const night = { id: 'b', type: 'time', days: [5], from: '22:00', to: '06:00', action: 'off' };
+const office = { id: 'c', type: 'network', url: 'http://intranet.example/', reachable: true, action: 'off' };
+const proxyDown = { id: 'd', type: 'proxy', reachable: false, action: 'off' };
+
+test('parses times of day', () => {
+    assert.equal(parseTime('09:30'), 570);
+    assert.equal(parseTime('0:05'), 5);
+    assert.equal(parseTime('24:00'), null);
+    assert.equal(parseTime('9.30'), null);
+});
+
+test('tells unreachable addresses from ones that answered', () => {
+    assert.ok(isUnreachableError('net::ERR_CONNECTION_REFUSED'));
+    assert.ok(isUnreachableError('net::ERR_NAME_NOT_RESOLVED'));
+    assert.ok(!isUnreachableError('net::ERR_EMPTY_RESPONSE'));
+    assert.ok(!isUnreachableError('net::ERR_INVALID_HTTP_RESPONSE'));
+});
+
+test('fills in defaults and drops invalid rules', () => {
+    assert.deepEqual(normalizeAutoEnable(), DEFAULT_AUTO_ENABLE);
+    const settings = normalizeAutoEnable({
+        rules: [workHours, { type: 'time', from: '25:00', to: '01:00' }, { type: 'network', url: 'ftp://x' }, { type: 'wifi' }, office],
+        checkMinutes: '2',
+        overrideMinutes: 0
+    });
+    assert.deepEqual(settings.rules, [workHours, office]);
+    assert.equal(settings.checkMinutes, 2);
+    assert.equal(settings.overrideMinutes, DEFAULT_AUTO_ENABLE.overrideMinutes);
+});
+
+test('matches time windows by day, including overnight ones', () => {
+    assert.ok(inTimeWindow(workHours, at(1, 9)));
+    assert.ok(!inTimeWindow(workHours, at(1, 18)));
+    assert.ok(!inTimeWindow(workHours, at(6, 12)));
+    // Friday night runs into Saturday morning
+    assert.ok(inTimeWindow(night, at(5, 23)));
+    assert.ok(inTimeWindow(night, at(6, 5, 59)));
+    assert.ok(!inTimeWindow(night, at(4, 23)));
+    assert.ok(!inTimeWindow(night, at(5, 5)));
+});
+
+test('the first rule that holds decides', () => {
+    const rules = [office, proxyDown, workHours];
+    const urls = { 'http://intranet.example/': false };
+    assert.deepEqual(decideEnabled(rules, { now: at(1, 10), reachable: { proxy: true, urls } }), { enabled: true, rule: workHours });
+    assert.deepEqual(decideEnabled(rules, { now: at(1, 10), reachable: { proxy: false, urls } }), { enabled: false, rule: proxyDown });
+    assert.deepEqual(
+        decideEnabled(rules, { now: at(1, 10), reachable: { proxy: false, urls: { 'http://intranet.example/': true } } }),
+        { enabled: false, rule: office }
+    );
+    // No probe result, no match
+    assert.equal(decideEnabled([office, proxyDown], { now: at(1, 10) }), null);
+    assert.equal(decideEnabled(rules, { now: at(6, 10), reachable: { proxy: true, urls } }), null);
+});
+
+test('lists the probes the rules need', () => {
+    assert.deepEqual(probesNeeded([workHours]), { proxy: false, urls: [] });
+    assert.deepEqual(probesNeeded([office, proxyDown, office]), { proxy: true, urls: ['http://intranet.example/'] });
+});
+
+test('finds when the next time window opens or closes', () => {
+    assert.equal(nextTimeChange([workHours], at(1, 8).getTime()), at(1, 9).getTime());
+    assert.equal(nextTimeChange([workHours], at(1, 12).getTime()), at(1, 18).getTime());
+    // Day-limited rules also wake up at midnight
+    assert.equal(nextTimeChange([workHours], at(1, 19).getTime()), at(2, 0).getTime());
+    assert.equal(nextTimeChange([office]), null);
+});
+
+test('describes rules with message keys', () => {
+    const translate = (key, ...args) => [key, ...args].join(' ');
+    assert.equal(describeAutoRule(workHours, translate), 'dayMon, dayTue, dayWed, dayThu, dayFri 09:00–18:00: autoActionOn');
+    assert.equal(describeAutoRule({ ...workHours, days: [] }, translate), 'everyDay 09:00–18:00: autoActionOn');
+    assert.equal(describeAutoRule(office, translate), 'autoRuleHostUp intranet.example autoActionOff');
+    assert.equal(describeAutoRule(proxyDown, translate), 'autoRuleProxyDown autoActionOff');
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_DETECTION, DISMISSED_LIMIT,
+    isBlockingError, normalizeDetectionSettings, isKnownHost, addDetectedHost,
+    resolveDetectedHost, pruneLearned, activeLearnedHosts
+} from '../src/blocked-hosts.js';
+
+const DAY = 24 * 3600 * 1000;
+const suggest = { mode: 'suggest', learnDays: 7 };
+const learn = { mode: 'learn', learnDays: 2 };
+
+test('tells blocking errors from ordinary failures', () => {
+    assert.ok(isBlockingError('net::ERR_CONNECTION_RESET'));
+    assert.ok(isBlockingError('net::ERR_TIMED_OUT'));
+    assert.ok(isBlockingError('net::ERR_CERT_COMMON_NAME_INVALID'));
+    assert.ok(!isBlockingError('net::ERR_NAME_NOT_RESOLVED'));
+    assert.ok(!isBlockingError('net::ERR_ABORTED'));
+    assert.ok(!isBlockingError(undefined));
+});
+
+test('fills in defaults and drops invalid settings', () => {
+    assert.deepEqual(normalizeDetectionSettings(), DEFAULT_DETECTION);
+    assert.deepEqual(normalizeDetectionSettings({ mode: 'learn', learnDays: '3' }), { mode: 'learn', learnDays: 3 });
+    assert.deepEqual(normalizeDetectionSettings({ mode: 'auto', learnDays: 0 }), DEFAULT_DETECTION);
+});
+
+test('suggests or learns a host once', () => {
+    let detected = addDetectedHost(undefined, { host: 'a.com', error: 'e', at: 0 }, suggest);
+    detected = addDetectedHost(detected, { host: 'a.com', error: 'e', at: 5 }, learn);
+    assert.deepEqual(detected.suggestions, [{ host: 'a.com', error: 'e', at: 0 }]);
+    assert.deepEqual(detected.learned, []);
+
+    detected = addDetectedHost(detected, { host: 'b.com', error: 'e', at: 10 }, learn);
+    assert.deepEqual(detected.learned, [{ host: 'b.com', error: 'e', at: 10, expiresAt: 10 + 2 * DAY }]);
+    assert.ok(isKnownHost(detected, 'b.com'));
+    assert.ok(!isKnownHost(detected, 'c.com'));
+});
+
+test('remembers declined hosts and forgets the oldest', () => {
+    let detected = addDetectedHost(undefined, { host: 'a.com', error: 'e', at: 0 }, suggest);
+    detected = resolveDetectedHost(detected, 'a.com', { dismiss: true });
+    assert.deepEqual(detected.suggestions, []);
+    assert.deepEqual(detected.dismissed, ['a.com']);
+    assert.equal(addDetectedHost(detected, { host: 'a.com', error: 'e', at: 1 }, suggest).suggestions.length, 0);
+
+    for (let i = 0; i < DISMISSED_LIMIT; i++) detected = resolveDetectedHost(detected, `h${i}.com`, { dismiss: true });
+    assert.equal(detected.dismissed.length, DISMISSED_LIMIT);
+    assert.ok(!detected.dismissed.includes('a.com'));
+});
+
+test('approving takes a host off without declining it', () => {
+    const detected = addDetectedHost(undefined, { host: 'a.com', error: 'e', at: 0 }, learn);
+    assert.deepEqual(resolveDetectedHost(detected, 'a.com'), { suggestions: [], learned: [], dismissed: [] });
+});
+
+test('expires learned hosts', () => {
+    let detected = addDetectedHost(undefined, { host: 'a.com', error: 'e', at: 0 }, learn);
+    detected = addDetectedHost(detected, { host: 'b.com', error: 'e', at: DAY }, learn);
+    assert.deepEqual(activeLearnedHosts(detected, 2 * DAY), ['b.com']);
+
+    const { detected: pruned, expired } = pruneLearned(detected, 2 * DAY);
+    assert.deepEqual(expired, ['a.com']);
+    assert.deepEqual(pruned.learned.map(h => h.host), ['b.com']);
+});
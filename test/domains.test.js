@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeHost, registrableDomain, isHostName } from '../src/domains.js';
+
+test('normalizes URLs and hosts to a bare host', () => {
+    assert.equal(normalizeHost(' https://User:pw@WWW.Example.com:8443/path?q=1 '), 'www.example.com');
+    assert.equal(normalizeHost('example.com/page'), 'example.com');
+    assert.equal(normalizeHost(''), '');
+});
+
+test('recognizes domain names', () => {
+    assert.ok(isHostName('example.com'));
+    assert.ok(isHostName('xn--80ak6aa92e.com'));
+    assert.ok(!isHostName('localhost'));
+    assert.ok(!isHostName('example.com/path'));
+});
+
+test('finds the registrable parent domain', () => {
+    assert.equal(registrableDomain('a.b.example.com'), 'example.com');
+    assert.equal(registrableDomain('example.com'), 'example.com');
+    assert.equal(registrableDomain('www.bbc.co.uk'), 'bbc.co.uk');
+    assert.equal(registrableDomain('shop.site.com.ru'), 'site.com.ru');
+    assert.equal(registrableDomain('cdn.site.io'), 'site.io');
+    assert.equal(registrableDomain('10.0.0.1'), '10.0.0.1');
+    assert.equal(registrableDomain('localhost'), 'localhost');
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Pbf from 'pbf';
+import { parseGeoSite, createGeoSiteParser } from '../src/geosite-parser.js';
+
+// Domain.Type: Plain 0 (keyword), Regex 1, Domain 2, Full 3
+const SITES = [
+    { code: 'google', domains: [[2, 'google.com'], [3, 'accounts.google.com'], [0, 'googlevideo'], [2, 'google.com']] },
+    { code: 'ads', domains: Array.from({ length: 500 }, (_, i) => [2, `ads${i}.example`]) },
+    { code: 'openai', domains: [[2, 'openai.com'], [1, '^chat\\d\\.openai\\.com$']] },
+    { code: 'empty', domains: [] }
+];
+
+function buildGeoSite(sites) {
+    const pbf = new Pbf();
+    for (const site of sites) {
+        pbf.writeMessage(1, (s, p) => {
+            p.writeStringField(1, s.code);
+            for (const [type, value] of s.domains) {
+                p.writeMessage(2, (d, q) => {
+                    q.writeVarintField(1, d.type);
+                    q.writeStringField(2, d.value);
+                }, { type, value });
+            }
+        }, site);
+    }
+    return pbf.finish();
+}
+
+const file = buildGeoSite(SITES);
+
+test('parses the selected categories by rule type', () => {
+    const { rules, categories } = parseGeoSite(file, ['GOOGLE', 'OpenAI']);
+    assert.deepEqual(rules, {
+        GOOGLE: { domain: ['google.com'], full: ['accounts.google.com'], keyword: ['googlevideo'], regexp: [] },
+        OPENAI: { domain: ['openai.com'], full: [], keyword: [], regexp: ['^chat\\d\\.openai\\.com$'] }
+    });
+    assert.deepEqual(categories, [
+        { name: 'ADS', count: 500 },
+        { name: 'EMPTY', count: 0 },
+        { name: 'GOOGLE', count: 4 },
+        { name: 'OPENAI', count: 2 }
+    ]);
+});
+
+test('gives the same result when the file arrives in small chunks', () => {
+    const whole = parseGeoSite(file, ['GOOGLE', 'OPENAI']);
+    for (const size of [1, 3, 7, 64]) {
+        const parser = createGeoSiteParser(['GOOGLE', 'OPENAI']);
+        for (let i = 0; i < file.length; i += size) parser.push(file.slice(i, i + size));
+        assert.deepEqual(parser.finish(), whole, `chunk size ${size}`);
+    }
+});
+
+test('rejects a truncated file', () => {
+    const parser = createGeoSiteParser(['GOOGLE']);
+    parser.push(file.slice(0, file.length - 5));
+    assert.throws(() => parser.finish(), /truncated/);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    DEFAULT_HEALTH_SETTINGS, HEALTH_HISTORY, FAILURE_THRESHOLD,
+    normalizeHealthSettings, recordCheck, isFailingOver, failoverConfig, isProxyError
+} from '../src/health.js';
+
+test('fills in defaults and drops invalid settings', () => {
+    assert.deepEqual(normalizeHealthSettings(), DEFAULT_HEALTH_SETTINGS);
+    assert.deepEqual(normalizeHealthSettings({ url: 'ftp://example.com', intervalMinutes: 0, failover: 'panic' }), DEFAULT_HEALTH_SETTINGS);
+    assert.deepEqual(normalizeHealthSettings({ url: 'http://example.com/ping', intervalMinutes: '10', failover: 'direct' }), {
+        url: 'http://example.com/ping', intervalMinutes: 10, failover: 'direct'
+    });
+});
+
+test('tells proxy errors from site errors', () => {
+    assert.ok(isProxyError('net::ERR_PROXY_CONNECTION_FAILED'));
+    assert.ok(isProxyError('net::ERR_TUNNEL_CONNECTION_FAILED'));
+    assert.ok(isProxyError('net::ERR_SOCKS_CONNECTION_FAILED'));
+    assert.ok(!isProxyError('net::ERR_CONNECTION_RESET'));
+    assert.ok(!isProxyError(undefined));
+});
+
+test('records checks with consecutive failures and a bounded history', () => {
+    let state = null;
+    state = recordCheck(state, 'a:1080', { at: 1, ok: true, latency: 120 });
+    assert.equal(state.status, 'ok');
+    assert.equal(state.latency, 120);
+    state = recordCheck(state, 'a:1080', { at: 2, ok: true, latency: 5000 });
+    assert.equal(state.status, 'slow');
+    state = recordCheck(state, 'a:1080', { at: 3, ok: false, error: 'timeout' });
+    state = recordCheck(state, 'a:1080', { at: 4, ok: false, auth: true, error: 'rejected' });
+    assert.equal(state.status, 'auth');
+    assert.equal(state.failures, 2);
+    assert.equal(state.latency, null);
+
+    for (let i = 0; i < HEALTH_HISTORY + 5; i++) state = recordCheck(state, 'a:1080', { at: 10 + i, ok: true, latency: 1 });
+    assert.equal(state.history.length, HEALTH_HISTORY);
+    assert.equal(state.failures, 0);
+
+    // Another proxy starts over
+    state = recordCheck(state, 'b:3128', { at: 100, ok: false, error: 'refused' });
+    assert.equal(state.proxy, 'b:3128');
+    assert.equal(state.history.length, 1);
+});
+
+test('fails over only after repeated failures of the same proxy', () => {
+    let state = null;
+    const settings = normalizeHealthSettings({ failover: 'fallback' });
+    for (let i = 0; i < FAILURE_THRESHOLD; i++) {
+        assert.ok(!isFailingOver(state, settings, 'a:1080'));
+        state = recordCheck(state, 'a:1080', { at: i, ok: false, error: 'refused' });
+    }
+    assert.ok(isFailingOver(state, settings, 'a:1080'));
+    assert.ok(!isFailingOver(state, settings, 'b:3128'));
+    assert.ok(!isFailingOver(state, normalizeHealthSettings({ failover: 'none' }), 'a:1080'));
+});
+
+test('replaces the main config while failing over', () => {
+    const config = 'socks5://a:1080, http://bob:secret@b:3128';
+    assert.equal(failoverConfig(config, 'fallback'), 'http://bob:secret@b:3128');
+    assert.equal(failoverConfig('socks5://a:1080', 'fallback'), '');
+    assert.equal(failoverConfig(config, 'direct'), '');
+    assert.equal(failoverConfig(config, 'none'), config);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import { LANGUAGES, LocalizedError } from '../src/i18n.js';
+import { FAILOVER_MODES } from '../src/health.js';
+import { DETECTION_MODES } from '../src/blocked-hosts.js';
+import { AUTO_RULE_TYPES, WEEK_DAYS } from '../src/auto-enable.js';
+import { SOURCE_FORMATS } from '../src/rule-sources.js';
+
+const readJson = path => JSON.parse(readFileSync(new URL(path, import.meta.url), 'utf8'));
+const locales = LANGUAGES.filter(l => l !== 'auto');
+const messages = Object.fromEntries(locales.map(l => [l, readJson(`../public/_locales/${l}/messages.json`)]));
+const placeholders = text => [...new Set(text.match(/\$[1-9]/g) || [])].sort();
+
+test('every locale has the same messages and substitutions', () => {
+    for (const lang of locales.slice(1)) {
+        assert.deepEqual(Object.keys(messages[lang]).sort(), Object.keys(messages.en).sort(), lang);
+        for (const [key, { message }] of Object.entries(messages.en)) {
+            assert.deepEqual(placeholders(messages[lang][key].message), placeholders(message), `${lang}: ${key}`);
+        }
+    }
+});
+
+test('the manifest and the code only use existing messages', () => {
+    const manifest = readFileSync(new URL('../public/manifest.json', import.meta.url), 'utf8');
+    const used = [...manifest.matchAll(/__MSG_(\w+)__/g)].map(m => m[1]);
+    const src = new URL('../src/', import.meta.url);
+    for (const file of readdirSync(src).filter(f => /\.jsx?$/.test(f))) {
+        const code = readFileSync(new URL(file, src), 'utf8');
+        used.push(...[...code.matchAll(/\b(?:t|translate|LocalizedError)\('(\w+)'/g)].map(m => m[1]));
+    }
+    used.push(
+        ...Object.values(FAILOVER_MODES), ...Object.values(DETECTION_MODES), ...Object.values(AUTO_RULE_TYPES),
+        ...WEEK_DAYS.map(([, key]) => key), ...Object.values(SOURCE_FORMATS)
+    );
+    assert.deepEqual(used.filter(key => !messages.en[key]), []);
+});
+
+test('localized errors carry their message key', () => {
+    const error = new LocalizedError('errorNewerVersion', 2);
+    assert.equal(error.key, 'errorNewerVersion');
+    assert.deepEqual(error.args, [2]);
+    assert.ok(error instanceof Error);
+});
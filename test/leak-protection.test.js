@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeLeakProtection, describeLeakStatus, DEFAULT_LEAK_PROTECTION, WEBRTC_POLICY } from '../src/leak-protection.js';
+
+const socks5 = { scheme: 'socks5', host: 'a', port: '1080' };
+const socks4 = { scheme: 'socks4', host: 'b', port: '1080' };
+const controlled = { value: WEBRTC_POLICY, levelOfControl: 'controlled_by_this_extension' };
+const on = { webrtc: true, dns: true };
+
+const summary = status => status.map(s => [s.kind, s.ok]);
+
+test('fills in defaults', () => {
+    assert.deepEqual(normalizeLeakProtection(), DEFAULT_LEAK_PROTECTION);
+    assert.deepEqual(normalizeLeakProtection({ webrtc: 1 }), { webrtc: true, dns: false });
+});
+
+test('reports protection in effect', () => {
+    assert.deepEqual(summary(describeLeakStatus(on, { webrtc: controlled, proxies: [socks5] })), [['webrtc', true], ['dns', true]]);
+});
+
+test('reports what is off or out of reach', () => {
+    assert.deepEqual(summary(describeLeakStatus(DEFAULT_LEAK_PROTECTION, { webrtc: controlled })), [['webrtc', false], ['dns', false]]);
+    const other = describeLeakStatus(on, { webrtc: { value: 'default', levelOfControl: 'controlled_by_other_extensions' }, proxies: [socks5] });
+    assert.equal(other[0].key, 'leakWebrtcOtherExtension');
+    assert.equal(describeLeakStatus(on, { webrtc: null })[0].ok, false);
+});
+
+test('warns about SOCKS4 and DIRECT failover resolving names locally', () => {
+    const status = describeLeakStatus(on, { webrtc: controlled, proxies: [socks5, socks4, socks4] });
+    assert.deepEqual(status[1], { kind: 'dns', ok: false, key: 'leakDnsSocks4', args: ['b:1080'] });
+    assert.equal(describeLeakStatus(on, { webrtc: controlled, proxies: [socks5], directFailover: true })[1].ok, false);
+});
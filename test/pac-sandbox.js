@@ -0,0 +1,31 @@
+// Evaluates generated PAC scripts in Node, with the PAC helpers they rely on.
+import vm from 'node:vm';
+
+// PAC helpers as defined by Chromium's pac_js_library
+const PAC_LIBRARY = `
+function dnsDomainIs(host, domain) {
+  return (host.length >= domain.length &&
+          host.substring(host.length - domain.length) == domain);
+}
+function isPlainHostName(host) {
+  return (host.search('\\\\.') == -1);
+}
+function convert_addr(ipchars) {
+  var bytes = ipchars.split('.');
+  return ((bytes[0] & 0xff) << 24) | ((bytes[1] & 0xff) << 16) |
+         ((bytes[2] & 0xff) << 8) | (bytes[3] & 0xff);
+}
+function isInNet(ipaddr, pattern, maskstr) {
+  if (!/^\\d{1,3}(\\.\\d{1,3}){3}$/.test(ipaddr)) {
+    throw new Error('DNS lookup for ' + ipaddr);
+  }
+  var mask = convert_addr(maskstr);
+  return ((convert_addr(ipaddr) & mask) == (convert_addr(pattern) & mask));
+}
+`;
+
+export function loadPac(script) {
+    const context = vm.createContext({});
+    vm.runInContext(PAC_LIBRARY + script, context);
+    return (host) => context.FindProxyForURL(`https://${host}/`, host);
+}
@@ -0,0 +1,214 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildDomainTrie, buildPacScript, countRules, probeHostName } from '../src/pac.js';
+import { parseExclusions } from '../src/routing.js';
+import { loadPac } from './pac-sandbox.js';
+
+const CONFIG = [{ scheme: 'http', host: '10.0.0.1', port: '3128' }];
+const PROXY = 'PROXY 10.0.0.1:3128; DIRECT';
+
+// The linear scan the extension used before the trie
+function legacyPacScript(sites, result) {
+    return `
+    function FindProxyForURL(url, host) {
+      const sites = ${JSON.stringify(sites)};
+      for (const site of sites) {
+        if (dnsDomainIs(host, site) || host.endsWith('.' + site)) {
+          return "${result}";
+        }
+      }
+      return "DIRECT";
+    }
+  `;
+}
+
+const SITES = ['google.com', 'mail.google.com', 'youtube.com', 'ytimg.com', 't.me', 'openai.com', 'co.uk', 'x.com', '1.2.3.4'];
+
+const HOSTS = [
+    'google.com', 'www.google.com', 'mail.google.com', 'a.b.c.google.com',
+    'youtube.com', 'i.ytimg.com', 't.me', 'api.openai.com', 'bbc.co.uk', 'x.com',
+    '1.2.3.4', 'google.ru', 'example.com', 'com', 'localhost', 'google.com.evil.org', 'me'
+];
+
+test('trie decisions match the legacy linear scan', () => {
+    const trie = loadPac(buildPacScript([{ rules: { domain: SITES }, proxies: CONFIG }]));
+    const legacy = loadPac(legacyPacScript(SITES, PROXY));
+    for (const host of HOSTS) {
+        assert.equal(trie(host), legacy(host), host);
+    }
+});
+
+test('proxies listed domains and their subdomains only', () => {
+    const find = loadPac(buildPacScript([{ rules: { domain: SITES }, proxies: CONFIG }]));
+    assert.equal(find('www.youtube.com'), PROXY);
+    assert.equal(find('WWW.YouTube.COM'), PROXY);
+    assert.equal(find('youtube.com.evil.org'), 'DIRECT');
+    assert.equal(find('example.com'), 'DIRECT');
+});
+
+test('matches on label boundaries, unlike the legacy dnsDomainIs suffix check', () => {
+    const find = loadPac(buildPacScript([{ rules: { domain: SITES }, proxies: CONFIG }]));
+    const legacy = loadPac(legacyPacScript(SITES, PROXY));
+    assert.equal(legacy('notgoogle.com'), PROXY);
+    assert.equal(find('notgoogle.com'), 'DIRECT');
+});
+
+test('ignores object prototype keys in host labels', () => {
+    const find = loadPac(buildPacScript([{ rules: { domain: SITES }, proxies: CONFIG }]));
+    assert.equal(find('constructor'), 'DIRECT');
+    assert.equal(find('tostring.hasownproperty'), 'DIRECT');
+});
+
+test('trie drops domains already covered by a shorter suffix', () => {
+    assert.deepEqual(buildDomainTrie(['mail.google.com', 'google.com', 'docs.google.com']), { com: { google: 0 } });
+    assert.deepEqual(buildDomainTrie(['.example.org.', '', 'EXAMPLE.net']), { org: { example: 0 }, net: { example: 0 } });
+});
+
+test('sanitizes proxy host and port', () => {
+    const script = buildPacScript([{ rules: { domain: SITES }, proxies: [{ scheme: 'http', host: '1.2.3.4"; alert(1); "', port: '80a' }] }]);
+    assert.equal(loadPac(script)('google.com'), 'PROXY 1.2.3.4alert1:80; DIRECT');
+});
+
+test('handles geosite-sized site lists', () => {
+    const sites = Array.from({ length: 80000 }, (_, i) => `site${i}.example${i % 50}.com`);
+    const script = buildPacScript([{ rules: { domain: sites }, proxies: CONFIG }]);
+    const find = loadPac(script);
+    assert.equal(find('www.site79999.example49.com'), PROXY);
+    assert.equal(find('site80000.example0.com'), 'DIRECT');
+});
+
+test('full rules match the exact host only', () => {
+    const find = loadPac(buildPacScript([{ rules: { full: ['www.example.com'] }, proxies: CONFIG }]));
+    assert.equal(find('www.example.com'), PROXY);
+    assert.equal(find('a.www.example.com'), 'DIRECT');
+    assert.equal(find('example.com'), 'DIRECT');
+});
+
+test('keyword rules match a substring of the host', () => {
+    const find = loadPac(buildPacScript([{ rules: { keyword: ['torrent'] }, proxies: CONFIG }]));
+    assert.equal(find('rutorrent.org'), PROXY);
+    assert.equal(find('cdn.torrents.example'), PROXY);
+    assert.equal(find('example.com'), 'DIRECT');
+});
+
+test('regexp rules are tested against the host', () => {
+    const find = loadPac(buildPacScript([{ rules: { regexp: ['^api\\d+\\.example\\.com$', '(?i)broken'] }, proxies: CONFIG }]));
+    assert.equal(find('api42.example.com'), PROXY);
+    assert.equal(find('api.example.com'), 'DIRECT');
+    assert.equal(find('x.api42.example.com'), 'DIRECT');
+});
+
+test('rule types combine', () => {
+    const rules = { domain: ['google.com'], full: ['t.co'], keyword: ['telegram'], regexp: ['^ab\\.'] };
+    const find = loadPac(buildPacScript([{ rules, proxies: CONFIG }]));
+    assert.equal(countRules(rules), 4);
+    for (const host of ['www.google.com', 't.co', 'web.telegram.org', 'ab.example']) {
+        assert.equal(find(host), PROXY, host);
+    }
+    for (const host of ['x.t.co', 'xab.example', 'example.org']) {
+        assert.equal(find(host), 'DIRECT', host);
+    }
+});
+
+test('emits the proxies as an ordered fallback chain', () => {
+    const proxies = [
+        { scheme: 'socks5', host: 'a', port: '1080' },
+        { scheme: 'https', host: 'b', port: '443' },
+        { scheme: 'http', host: 'c', port: '3128' }
+    ];
+    const find = loadPac(buildPacScript([{ rules: { domain: ['example.com'] }, proxies }]));
+    assert.equal(find('example.com'), 'SOCKS5 a:1080; HTTPS b:443; PROXY c:3128; DIRECT');
+    assert.equal(find('example.org'), 'DIRECT');
+});
+
+test('routes each rule group to its own upstream', () => {
+    const eu = [{ scheme: 'socks5', host: 'eu', port: '1080' }];
+    const us = [{ scheme: 'http', host: 'us', port: '3128' }];
+    const find = loadPac(buildPacScript([
+        { rules: { domain: ['chat.openai.com'] }, proxies: [] },
+        { rules: { domain: ['openai.com', 'bbc.co.uk'], keyword: ['netflix'] }, proxies: eu },
+        { rules: { domain: ['youtube.com'], full: ['openai.com'] }, proxies: us }
+    ]));
+    assert.equal(find('api.openai.com'), 'SOCKS5 eu:1080; DIRECT');
+    assert.equal(find('chat.openai.com'), 'DIRECT');
+    assert.equal(find('openai.com'), 'PROXY us:3128; DIRECT');
+    assert.equal(find('www.youtube.com'), 'PROXY us:3128; DIRECT');
+    assert.equal(find('netflix.com'), 'SOCKS5 eu:1080; DIRECT');
+    assert.equal(find('example.com'), 'DIRECT');
+});
+
+test('the longest matching domain suffix wins across groups', () => {
+    const trie = buildDomainTrie(['google.com'], 0);
+    buildDomainTrie(['mail.google.com', 'a.b.google.com'], 1, trie);
+    buildDomainTrie(['docs.google.com', 'google.com'], 0, trie);
+    assert.deepEqual(trie, { com: { google: { '.': 0, mail: 1, b: { a: 1 }, docs: 0 } } });
+
+    const find = loadPac(buildPacScript([
+        { rules: { domain: ['google.com'] }, proxies: CONFIG },
+        { rules: { domain: ['mail.google.com'] }, proxies: [] }
+    ]));
+    assert.equal(find('google.com'), PROXY);
+    assert.equal(find('x.mail.google.com'), 'DIRECT');
+    assert.equal(find('b.google.com'), PROXY);
+});
+
+test('exclusions win over every rule group', () => {
+    const find = loadPac(buildPacScript([
+        { rules: { domain: ['google.com', 'sso.corp.example'], full: ['accounts.google.com'], keyword: ['update'] }, proxies: CONFIG },
+        { rules: { domain: ['mail.google.com'] }, proxies: CONFIG }
+    ], parseExclusions(['google.com', 'windowsupdate.com', '10.1.0.0/16', '8.8.8.8'])));
+    assert.equal(find('mail.google.com'), 'DIRECT');
+    assert.equal(find('accounts.google.com'), 'DIRECT');
+    assert.equal(find('dl.windowsupdate.com'), 'DIRECT');
+    assert.equal(find('sso.corp.example'), PROXY);
+    assert.equal(find('update.example'), PROXY);
+});
+
+test('excludes IPv4 ranges without resolving host names', () => {
+    const exclusions = parseExclusions(['10.1.0.0/16', '8.8.8.8']);
+    const find = loadPac(buildPacScript([{ rules: { domain: ['10.1.2.3', '10.2.0.1', '8.8.8.8', '8.8.4.4'] }, proxies: CONFIG }], exclusions));
+    assert.equal(find('10.1.2.3'), 'DIRECT');
+    assert.equal(find('8.8.8.8'), 'DIRECT');
+    assert.equal(find('10.2.0.1'), PROXY);
+    assert.equal(find('8.8.4.4'), PROXY);
+    assert.equal(find('example.com'), 'DIRECT');
+});
+
+test('bypasses plain host names and private networks when asked', () => {
+    const rules = { domain: ['intranet', 'localhost', 'printer.local', '192.168.1.10', '172.20.0.1'], keyword: ['net'] };
+    const bypass = loadPac(buildPacScript([{ rules, proxies: CONFIG }], parseExclusions([], true)));
+    for (const host of ['intranet', 'localhost', 'printer.local', '192.168.1.10', '172.20.0.1']) {
+        assert.equal(bypass(host), 'DIRECT', host);
+    }
+    assert.equal(bypass('example.net'), PROXY);
+
+    const noBypass = loadPac(buildPacScript([{ rules, proxies: CONFIG }], parseExclusions([], false)));
+    assert.equal(noBypass('intranet'), PROXY);
+    assert.equal(noBypass('192.168.1.10'), PROXY);
+});
+
+test('sends probe hosts through the probed proxy only', () => {
+    const exclusions = parseExclusions(['gstatic.com']);
+    const find = loadPac(buildPacScript([{ rules: { domain: ['example.com'] }, proxies: CONFIG }], exclusions, {
+        hosts: ['WWW.gstatic.com', 'blocked.example'],
+        proxies: [{ scheme: 'socks5', host: '10.0.0.2', port: '1080' }]
+    }));
+    assert.equal(probeHostName('WWW.gstatic.com'), 'www.gstatic.com.');
+    assert.equal(find('www.gstatic.com.'), 'SOCKS5 10.0.0.2:1080');
+    assert.equal(find('blocked.example.'), 'SOCKS5 10.0.0.2:1080');
+    // Ordinary requests to the same hosts keep their route, exclusions included
+    assert.equal(find('www.gstatic.com'), 'DIRECT');
+    assert.equal(find('blocked.example'), 'DIRECT');
+    assert.equal(find('fonts.gstatic.com'), 'DIRECT');
+    assert.equal(find('example.com'), PROXY);
+});
+
+test('drops the DIRECT fallback of proxied groups when asked', () => {
+    const find = loadPac(buildPacScript([
+        { rules: { domain: ['intranet.example'] }, proxies: [] },
+        { rules: { domain: ['example.com'] }, proxies: [{ scheme: 'socks5', host: 'a', port: '1080' }, ...CONFIG] }
+    ], {}, null, { directFallback: false }));
+    assert.equal(find('example.com'), 'SOCKS5 a:1080; PROXY 10.0.0.1:3128');
+    assert.equal(find('intranet.example'), 'DIRECT');
+    assert.equal(find('example.org'), 'DIRECT');
+});
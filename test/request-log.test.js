@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addLogEntry, failedDirectHosts, logToCsv } from '../src/request-log.js';
+
+const request = (host, at, extra = {}) => ({
+    host, at, proxied: false, target: null, rule: null, chain: null, error: null, statusCode: 200, ...extra
+});
+
+test('keeps one entry per host with counts and the latest routing', () => {
+    let log = [];
+    log = addLogEntry(log, request('a.example', 1));
+    log = addLogEntry(log, request('b.example', 2));
+    log = addLogEntry(log, request('a.example', 3, { error: 'net::ERR_CONNECTION_RESET', statusCode: null }));
+    assert.deepEqual(log.map(e => e.host), ['b.example', 'a.example']);
+    const [, a] = log;
+    assert.equal(a.count, 2);
+    assert.equal(a.errors, 1);
+    assert.equal(a.firstAt, 1);
+    assert.equal(a.lastAt, 3);
+    assert.equal(a.error, 'net::ERR_CONNECTION_RESET');
+});
+
+test('drops the least recently seen hosts over the limit', () => {
+    let log = [];
+    for (const [i, host] of ['a', 'b', 'c', 'a', 'd'].entries()) log = addLogEntry(log, request(host, i), 3);
+    assert.deepEqual(log.map(e => e.host), ['c', 'a', 'd']);
+});
+
+test('suggests hosts that failed without a proxy', () => {
+    const log = [
+        request('cdn.example', 1, { error: 'net::ERR_TIMED_OUT' }),
+        request('proxied.example', 2, { proxied: true, error: 'net::ERR_TUNNEL_CONNECTION_FAILED' }),
+        request('excluded.example', 3, { error: 'net::ERR_TIMED_OUT', rule: { kind: 'exclusion', name: 'excluded.example' } }),
+        request('ok.example', 4)
+    ].reduce((entries, r) => addLogEntry(entries, r), []);
+    assert.deepEqual(failedDirectHosts(log), ['cdn.example']);
+});
+
+test('exports CSV with quoting', () => {
+    const log = addLogEntry([], request('a.example', 0, {
+        proxied: true, target: 'EU', rule: { kind: 'category', name: 'GOOGLE' }, chain: 'SOCKS5 a:1080; DIRECT', error: 'say "hi", bye'
+    }));
+    const [header, row] = logToCsv(log).split('\n');
+    assert.equal(header, 'host,count,errors,proxied,target,rule,chain,error,statusCode,firstAt,lastAt');
+    assert.equal(row, 'a.example,1,1,true,EU,category:GOOGLE,SOCKS5 a:1080; DIRECT,"say ""hi"", bye",200,1970-01-01T00:00:00.000Z,1970-01-01T00:00:00.000Z');
+});
@@ -0,0 +1,165 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRuleGroups, collectProxies, resolveTarget, parseCidr, parseExclusions, createRouteMatcher, findRedundantSites, DIRECT } from '../src/routing.js';
+import { buildPacScript } from '../src/pac.js';
+import { buildProxyChain } from '../src/proxy-config.js';
+import { loadPac } from './pac-sandbox.js';
+
+const profiles = [
+    { name: 'EU', config: 'socks5://eu:1080' },
+    { name: 'US', config: 'http://u:p@us:3128' },
+    { name: 'EMPTY', config: '' }
+];
+const proxyConfig = '1.2.3.4:8080';
+
+const chain = (proxies) => proxies.map(p => `${p.host}:${p.port}`).join(',');
+
+test('resolves route targets to proxy lists', () => {
+    assert.equal(chain(resolveTarget('EU', { proxyConfig, profiles })), 'eu:1080');
+    assert.equal(chain(resolveTarget('', { proxyConfig, profiles })), '1.2.3.4:8080');
+    assert.equal(chain(resolveTarget('GONE', { proxyConfig, profiles })), '1.2.3.4:8080');
+    assert.deepEqual(resolveTarget(DIRECT, { proxyConfig, profiles }), []);
+});
+
+test('groups categories and sites by route, manual sites first', () => {
+    const groups = buildRuleGroups({
+        geoRules: {
+            GOOGLE: { domain: ['google.com'], full: [], keyword: [], regexp: [] },
+            NETFLIX: { domain: ['netflix.com'], full: [], keyword: ['nflx'], regexp: [] },
+            OPENAI: { domain: ['openai.com'], full: [], keyword: [], regexp: [] }
+        },
+        sites: ['corp.example', 'bbc.co.uk'],
+        routes: {
+            categories: { NETFLIX: 'US', OPENAI: 'EU' },
+            sites: { 'corp.example': DIRECT }
+        },
+        proxyConfig,
+        profiles
+    });
+    assert.deepEqual(groups.map(g => [g.rules.domain, g.rules.keyword, chain(g.proxies)]), [
+        [['corp.example'], [], ''],
+        [['bbc.co.uk'], [], '1.2.3.4:8080'],
+        [['google.com'], [], '1.2.3.4:8080'],
+        [['netflix.com'], ['nflx'], 'us:3128'],
+        [['openai.com'], [], 'eu:1080']
+    ]);
+});
+
+test('routes learned hosts through the main proxy after other rules', () => {
+    const groups = buildRuleGroups({
+        sites: ['corp.example'],
+        routes: { sites: { 'corp.example': 'EU' } },
+        learned: ['blocked.example'],
+        proxyConfig,
+        profiles
+    });
+    assert.deepEqual(groups.map(g => [g.rules.domain, chain(g.proxies)]), [
+        [['corp.example'], 'eu:1080'],
+        [['blocked.example'], '1.2.3.4:8080']
+    ]);
+    assert.deepEqual(groups[1].sources.map(s => s.kind), ['learned']);
+});
+
+test('drops groups routed to a profile without proxies', () => {
+    const groups = buildRuleGroups({
+        sites: ['a.example'],
+        routes: { sites: { 'a.example': 'EMPTY' } },
+        proxyConfig,
+        profiles
+    });
+    assert.deepEqual(groups, []);
+    assert.deepEqual(buildRuleGroups({ sites: ['a.example'], proxyConfig: '' }), []);
+});
+
+test('collects proxies of all profiles for auth challenges', () => {
+    assert.deepEqual(collectProxies({ proxyConfig, profiles }).map(p => p.host), ['1.2.3.4', 'eu', 'us']);
+    assert.deepEqual(collectProxies({ proxyConfig: undefined }), []);
+});
+
+test('parses IPv4 addresses and CIDR ranges for isInNet', () => {
+    assert.deepEqual(parseCidr('10.0.0.0/8'), ['10.0.0.0', '255.0.0.0']);
+    assert.deepEqual(parseCidr('172.16.5.4/12'), ['172.16.0.0', '255.240.0.0']);
+    assert.deepEqual(parseCidr(' 192.168.1.5 '), ['192.168.1.5', '255.255.255.255']);
+    assert.deepEqual(parseCidr('0.0.0.0/0'), ['0.0.0.0', '0.0.0.0']);
+    assert.equal(parseCidr('300.1.1.1'), null);
+    assert.equal(parseCidr('10.0.0.0/33'), null);
+    assert.equal(parseCidr('example.com'), null);
+});
+
+test('splits exclusions into domains and nets', () => {
+    assert.deepEqual(parseExclusions(['sso.corp.example', '10.0.0.0/8', ' ']), {
+        domains: ['sso.corp.example'],
+        nets: [['10.0.0.0', '255.0.0.0']],
+        plainHostNames: false
+    });
+    const local = parseExclusions([], true);
+    assert.deepEqual(local.domains, ['localhost', 'local']);
+    assert.equal(local.nets.length, 5);
+    assert.equal(local.plainHostNames, true);
+});
+
+const STATE = {
+    geoRules: {
+        GOOGLE: { domain: ['google.com', 'youtube.com'], full: ['accounts.google.com'], keyword: [], regexp: [] },
+        NETFLIX: { domain: ['netflix.com', 'youtube.com'], full: [], keyword: ['nflx'], regexp: ['^cdn\\d+\\.example$'] },
+        OPENAI: { domain: ['openai.com'], full: [], keyword: [], regexp: [] }
+    },
+    sites: ['mail.google.com', 'bbc.co.uk', 'corp.example'],
+    routes: {
+        categories: { NETFLIX: 'US', OPENAI: 'EU' },
+        sites: { 'corp.example': DIRECT }
+    },
+    proxyConfig,
+    profiles
+};
+
+test('explains which rule routes a host', () => {
+    const match = createRouteMatcher(buildRuleGroups(STATE), parseExclusions(['sso.google.com', '10.0.0.0/8'], true));
+    assert.deepEqual(match('www.openai.com'), {
+        proxies: resolveTarget('EU', STATE),
+        target: 'EU',
+        rule: { kind: 'category', name: 'OPENAI', type: 'domain', value: 'openai.com' }
+    });
+    assert.deepEqual(match('x.mail.google.com').rule, { kind: 'site', name: 'mail.google.com', type: 'domain', value: 'mail.google.com' });
+    assert.deepEqual(match('Accounts.Google.com').rule, { kind: 'category', name: 'GOOGLE', type: 'full', value: 'accounts.google.com' });
+    assert.equal(match('ipv4-c001.nflxvideo.net').rule.type, 'keyword');
+    assert.equal(match('cdn7.example').rule.type, 'regexp');
+    assert.deepEqual(match('a.sso.google.com'), {
+        proxies: [], target: null, rule: { kind: 'exclusion', name: 'sso.google.com', type: 'domain', value: 'sso.google.com' }
+    });
+    assert.equal(match('10.1.2.3').rule.name, '10.0.0.0/255.0.0.0');
+    assert.equal(match('intranet').rule.kind, 'exclusion');
+    assert.deepEqual(match('example.org'), { proxies: [], target: null, rule: null });
+});
+
+test('route explanations agree with the generated PAC', () => {
+    const groups = buildRuleGroups(STATE);
+    const exclusions = parseExclusions(['sso.google.com', '10.0.0.0/8', '8.8.8.8'], true);
+    const find = loadPac(buildPacScript(groups, exclusions));
+    const match = createRouteMatcher(groups, exclusions);
+    const hosts = [
+        'google.com', 'www.google.com', 'mail.google.com', 'a.mail.google.com', 'accounts.google.com',
+        'youtube.com', 'm.youtube.com', 'netflix.com', 'nflx.example', 'cdn1.example', 'cdn.example',
+        'openai.com', 'api.openai.com', 'bbc.co.uk', 'corp.example', 'x.corp.example', 'sso.google.com',
+        '10.1.1.1', '8.8.8.8', '8.8.4.4', 'localhost', 'intranet', 'example.org'
+    ];
+    for (const host of hosts) {
+        assert.equal(buildProxyChain(match(host).proxies), find(host), host);
+    }
+});
+
+test('flags manual sites already covered by a category with the same route', () => {
+    const redundant = findRedundantSites({
+        geoRules: {
+            GOOGLE: { domain: ['google.com'], full: ['ssl.gstatic.com'], keyword: [], regexp: [] },
+            NETFLIX: { domain: [], full: [], keyword: ['nflx'], regexp: [] }
+        },
+        sites: ['mail.google.com', 'google.com', 'ssl.gstatic.com', 'nflxvideo.net', 'googleapis.com', 'eu.google.com'],
+        routes: { sites: { 'eu.google.com': 'EU' } }
+    });
+    assert.deepEqual([...redundant], [
+        ['mail.google.com', 'GOOGLE'],
+        ['google.com', 'GOOGLE'],
+        ['nflxvideo.net', 'NETFLIX']
+    ]);
+});
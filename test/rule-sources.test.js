@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseDomainList, parseGfwList, parseClashRuleSet, parseSingBoxRuleSet, parseSource, createSourceParser,
+    withBuiltinSource, mergeSourceRules, isSourceDue, sourceCategoryName, isSourceNameFree, diffSourceRules, BUILTIN_SOURCE_ID
+} from '../src/rule-sources.js';
+
+const bytes = text => new TextEncoder().encode(text);
+
+test('parses plain and v2ray-style domain lists', () => {
+    const rules = parseDomainList([
+        '# antifilter',
+        'Example.com',
+        'https://www.example.org/page',
+        'full:api.example.net',
+        'keyword:tracker',
+        'regexp:^cdn\\d+\\.example$',
+        'domain:example.io @ads',
+        'not a domain'
+    ].join('\n'));
+    assert.deepEqual(rules, {
+        domain: ['example.com', 'www.example.org', 'example.io'],
+        full: ['api.example.net'],
+        keyword: ['tracker'],
+        regexp: ['^cdn\\d+\\.example$']
+    });
+});
+
+test('parses base64 GFWList into domain rules without exceptions', () => {
+    const list = Buffer.from('[AutoProxy 0.2.9]\n||google.com\n|https://t.me/x\n@@||baidu.com\n/regex/\n').toString('base64');
+    assert.deepEqual(parseGfwList(list).domain, ['google.com', 't.me']);
+});
+
+test('parses Clash rule providers of both behaviors', () => {
+    const rules = parseClashRuleSet([
+        'payload:',
+        "  - '+.google.com'",
+        '  - .youtube.com',
+        '  - *.googlevideo.com',
+        '  - api.openai.com',
+        '  - DOMAIN-SUFFIX,twitter.com',
+        '  - DOMAIN,x.com',
+        '  - DOMAIN-KEYWORD,telegram',
+        '  - DOMAIN-REGEX,^cdn[0-9]+\\.example,net$',
+        '  - IP-CIDR,1.2.3.0/24,no-resolve'
+    ].join('\n'));
+    assert.deepEqual(rules, {
+        domain: ['google.com', 'youtube.com', 'twitter.com'],
+        full: ['api.openai.com', 'x.com'],
+        keyword: ['telegram'],
+        regexp: ['^[^.]+\\.googlevideo\\.com$', '^cdn[0-9]+\\.example,net$']
+    });
+});
+
+test('parses sing-box source rule-sets and rejects binary ones', () => {
+    const rules = parseSingBoxRuleSet(JSON.stringify({
+        version: 1,
+        rules: [
+            { domain: ['x.com'], domain_suffix: ['.google.com', 'youtube.com'] },
+            { domain_keyword: 'openai', domain_regex: ['^a\\d\\.example$'] }
+        ]
+    }));
+    assert.deepEqual(rules, {
+        domain: ['google.com', 'youtube.com'],
+        full: ['x.com'],
+        keyword: ['openai'],
+        regexp: ['^a\\d\\.example$']
+    });
+    assert.throws(() => parseSingBoxRuleSet('SRS\u0001\u0000'), { key: 'errorSrsUnsupported' });
+});
+
+test('names list sources as a single category', () => {
+    const source = { id: 'a1', name: 'antifilter', format: 'list' };
+    assert.deepEqual(parseSource(source, bytes('example.com\nexample.org')), {
+        rules: { antifilter: { domain: ['example.com', 'example.org'], full: [], keyword: [], regexp: [] } },
+        categories: [{ name: 'antifilter', count: 2 }]
+    });
+    assert.deepEqual(parseSource(source, bytes('# nothing')).rules, {});
+
+    // Multi-byte characters split between chunks
+    const parser = createSourceParser(source);
+    const text = bytes('# комментарий\nexample.com\n');
+    parser.push(text.slice(0, 4));
+    parser.push(text.slice(4));
+    assert.deepEqual(parser.finish().rules.antifilter.domain, ['example.com']);
+    assert.equal(sourceCategoryName({ id: 'b', name: 'extra', format: 'geosite' }, 'GOOGLE'), 'extra:GOOGLE');
+    assert.equal(sourceCategoryName({ id: BUILTIN_SOURCE_ID, format: 'geosite' }, 'GOOGLE'), 'GOOGLE');
+});
+
+test('gives every source its own category name', () => {
+    const sources = withBuiltinSource([{ id: 'a1', name: 'antifilter', format: 'list' }]);
+    assert.ok(isSourceNameFree('extra', sources, ['GOOGLE']));
+    assert.ok(!isSourceNameFree('Antifilter', sources, ['GOOGLE']));
+    assert.ok(!isSourceNameFree('GOOGLE', sources, ['GOOGLE']));
+    assert.ok(!isSourceNameFree('google', sources, ['GOOGLE']));
+    assert.ok(!isSourceNameFree('a:b', sources));
+    assert.ok(!isSourceNameFree('', sources));
+
+    const rules = name => ({ domain: [`${name}.com`], full: [], keyword: [], regexp: [] });
+    const twins = [{ id: 'a1', name: 'twin', format: 'list' }, { id: 'b2', name: 'twin', format: 'list' }];
+    const merged = mergeSourceRules(twins, { a1: { rules: { twin: rules('a') } }, b2: { rules: { twin: rules('b') } } });
+    assert.deepEqual(merged, { twin: rules('a') });
+});
+
+test('keeps the built-in source first and merges enabled sources', () => {
+    const sources = withBuiltinSource([
+        { id: 'a1', name: 'antifilter', format: 'list', enabled: true },
+        { id: BUILTIN_SOURCE_ID, enabled: false },
+        { id: 'b2', name: 'off', format: 'list', enabled: false }
+    ]);
+    assert.deepEqual(sources.map(s => s.id), [BUILTIN_SOURCE_ID, 'a1', 'b2']);
+    assert.ok(sources[0].urls.length > 0);
+
+    const rules = { domain: ['x.com'], full: [], keyword: [], regexp: [] };
+    const merged = mergeSourceRules(sources, {
+        [BUILTIN_SOURCE_ID]: { rules: { GOOGLE: rules } },
+        a1: { rules: { antifilter: rules } },
+        b2: { rules: { off: rules } }
+    });
+    assert.deepEqual(Object.keys(merged), ['antifilter']);
+});
+
+test('schedules updates by each source interval', () => {
+    const hour = 3600 * 1000;
+    const source = { id: 'a1', urls: ['https://example.com/list.txt'], updateHours: 12 };
+    const start = Date.UTC(2024, 0, 1);
+    assert.ok(isSourceDue(source, undefined, start));
+    assert.ok(!isSourceDue(source, { lastCheck: start }, start + 11 * hour));
+    assert.ok(isSourceDue(source, { lastCheck: start }, start + 12 * hour));
+    assert.ok(!isSourceDue({ ...source, urls: [] }, undefined, start));
+    assert.ok(!isSourceDue({ ...source, enabled: false }, undefined, start));
+});
+
+test('diffs two snapshots category by category', () => {
+    const empty = { domain: [], full: [], keyword: [], regexp: [] };
+    const previous = { rules: {
+        GOOGLE: { ...empty, domain: ['google.com', 'gstatic.com'], full: ['www.google.com'] },
+        OLD: { ...empty, domain: ['old.example'] },
+        SAME: { ...empty, keyword: ['same'] }
+    } };
+    const current = { rules: {
+        GOOGLE: { ...empty, domain: ['google.com', 'youtube.com'], regexp: ['^g\\d+\\.example$'] },
+        NEW: { ...empty, domain: ['new.example'] },
+        SAME: { ...empty, keyword: ['same'] }
+    } };
+    assert.deepEqual(diffSourceRules(previous, current), {
+        changes: [{ category: 'GOOGLE', added: ['youtube.com', 'regexp:^g\\d+\\.example$'], removed: ['gstatic.com', 'full:www.google.com'] }],
+        skipped: ['NEW', 'OLD']
+    });
+    assert.deepEqual(diffSourceRules(undefined, current).changes, []);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    splitShards, joinShards, shardChanged, itemBytes, createShardedStorage, SYNC_QUOTA_BYTES_PER_ITEM
+} from '../src/sync-storage.js';
+
+const manySites = count => Array.from({ length: count }, (_, i) => `site-${i}.example.com`);
+
+// In-memory stand-in for chrome.storage.sync that enforces the per-item quota
+function fakeArea(initial = {}) {
+    const items = { ...initial };
+    return {
+        items,
+        async get(keys) {
+            if (keys === null) return { ...items };
+            return Object.fromEntries([].concat(keys).filter(k => k in items).map(k => [k, items[k]]));
+        },
+        async set(values) {
+            for (const [key, value] of Object.entries(values)) {
+                if (itemBytes(key, value) > SYNC_QUOTA_BYTES_PER_ITEM) throw new Error(`QUOTA_BYTES_PER_ITEM quota exceeded: ${key}`);
+            }
+            Object.assign(items, values);
+        },
+        async remove(keys) {
+            for (const key of keys) delete items[key];
+        }
+    };
+}
+
+test('small values stay under their plain key', () => {
+    assert.deepEqual(splitShards('sites', ['a.com', 'b.com']), { sites: ['a.com', 'b.com'] });
+});
+
+test('large lists and maps split into shards under the item quota', () => {
+    const sites = manySites(2000);
+    const shards = splitShards('sites', sites);
+    assert.ok(shards['sites.shards'] > 1);
+    for (const [key, value] of Object.entries(shards)) {
+        assert.ok(itemBytes(key, value) <= SYNC_QUOTA_BYTES_PER_ITEM, key);
+    }
+    assert.deepEqual(joinShards('sites', shards), sites);
+
+    const notes = Object.fromEntries(sites.map(s => [s, { note: 'x'.repeat(20), tags: ['team'] }]));
+    assert.deepEqual(joinShards('siteNotes', splitShards('siteNotes', notes)), notes);
+});
+
+test('nested maps such as per-site routes split across shards', () => {
+    const routes = { categories: { GOOGLE: 'EU' }, sites: Object.fromEntries(manySites(2000).map(s => [s, 'US'])) };
+    const shards = splitShards('routes', routes);
+    assert.ok(shards['routes.shards'] > 1);
+    for (const [key, value] of Object.entries(shards)) {
+        assert.ok(itemBytes(key, value) <= SYNC_QUOTA_BYTES_PER_ITEM, key);
+    }
+    assert.deepEqual(joinShards('routes', shards), routes);
+});
+
+test('reports changes to any shard', () => {
+    assert.ok(shardChanged({ 'sites.2': {} }, 'sites'));
+    assert.ok(shardChanged({ sites: {} }, 'sites'));
+    assert.ok(!shardChanged({ siteNotes: {} }, 'sites'));
+});
+
+test('sharded storage round-trips and cleans up stale shards', async () => {
+    const area = fakeArea({ sites: ['legacy.com'], bypassLocal: false });
+    const storage = createShardedStorage(area);
+    assert.deepEqual(await storage.get(['sites', 'bypassLocal']), { sites: ['legacy.com'], bypassLocal: false });
+
+    const sites = manySites(2000);
+    await storage.set({ sites, directSites: ['intranet.corp'] });
+    assert.deepEqual(await storage.get(['sites', 'directSites']), { sites, directSites: ['intranet.corp'] });
+
+    await storage.set({ sites: ['a.com'] });
+    assert.deepEqual(Object.keys(area.items).filter(k => k.startsWith('sites')).sort(), ['sites', 'sites.shards']);
+    assert.deepEqual((await storage.get('sites')).sites, ['a.com']);
+    assert.deepEqual(await storage.get('siteNotes'), {});
+});
@@ -1,20 +1,35 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 import { resolve } from 'path'
+import { splitCredentials } from './src/credentials.js'
 
-export default defineConfig({
-  plugins: [react()],
-  build: {
-    rollupOptions: {
-      input: {
-        main: resolve(__dirname, 'index.html'),
-        background: resolve(__dirname, 'src/background.js'),
-      },
-      output: {
-        entryFileNames: (chunkInfo) => {
-          return chunkInfo.name === 'background' ? '[name].js' : 'assets/[name]-[hash].js'
+export default defineConfig(({ mode }) => {
+  // The bundle is plain text, so the default proxy list goes in without its logins;
+  // they are entered in the extension and kept encrypted
+  const { VITE_PROXY_CONFIG } = loadEnv(mode, process.cwd())
+  const define = {}
+  if (VITE_PROXY_CONFIG !== undefined) {
+    const { config, credentials } = splitCredentials(VITE_PROXY_CONFIG)
+    if (credentials.length) console.warn('VITE_PROXY_CONFIG: logins are left out of the build, enter them in the extension')
+    define['import.meta.env.VITE_PROXY_CONFIG'] = JSON.stringify(config)
+  }
+
+  return {
+    plugins: [react()],
+    define,
+    build: {
+      rollupOptions: {
+        input: {
+          main: resolve(__dirname, 'index.html'),
+          options: resolve(__dirname, 'options.html'),
+          background: resolve(__dirname, 'src/background.js'),
+        },
+        output: {
+          entryFileNames: (chunkInfo) => {
+            return chunkInfo.name === 'background' ? '[name].js' : 'assets/[name]-[hash].js'
+          },
         },
       },
     },
-  },
+  }
 })